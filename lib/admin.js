@@ -0,0 +1,645 @@
+import crypto from "crypto";
+import express from "express";
+import path from "path";
+import { escapeHtml } from "./html.js";
+import { appendJsonLine, readJsonLines } from "./jsonl.js";
+import { log } from "./logger.js";
+
+const SESSION_COOKIE = "ra_admin";
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+// Each wrong password is answered this much later per failure so far, so even the
+// few tries the per-IP limit allows are slow to make.
+const LOGIN_FAILURE_DELAY_MS = 1000;
+const RECIPIENTS = new Set(["owner", "user"]);
+const UNDELIVERED = new Set(["failed", "dead"]);
+
+const ADMIN_CSS = `
+body { margin: 0; font: 15px/1.5 system-ui, sans-serif; color: #11273d; background: #f6f3ee; }
+header { display: flex; gap: 24px; align-items: center; padding: 14px 28px; background: #11273d; color: #fff; }
+header a, header button { color: #fff; }
+header nav { display: flex; gap: 16px; flex: 1; }
+header form { margin: 0; }
+main { padding: 24px 28px; max-width: 1200px; }
+table { width: 100%; border-collapse: collapse; background: #fff; margin-bottom: 28px; }
+th, td { padding: 8px 10px; border-bottom: 1px solid #ddd5c8; text-align: left; vertical-align: top; }
+th { font-size: 12px; text-transform: uppercase; letter-spacing: .04em; color: #5b6675; }
+.status-sent { color: #2f6b4f; } .status-failed { color: #a4401f; font-weight: 600; } .status-pending { color: #8a6d1f; }
+.status-dead { color: #fff; background: #a4401f; font-weight: 600; }
+.notice { padding: 10px 14px; background: #fff; border-left: 4px solid #2f6b4f; }
+.notice.error { border-color: #a4401f; }
+button { cursor: pointer; padding: 6px 12px; border: 1px solid #11273d; background: #fff; color: #11273d; }
+header button { background: transparent; border-color: rgba(255,255,255,.4); }
+form.inline { display: inline; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 6px 18px; background: #fff; padding: 16px; }
+dt { font-weight: 600; }
+pre { white-space: pre-wrap; background: #fff; padding: 12px; }
+.login { max-width: 360px; margin: 12vh auto; background: #fff; padding: 28px; }
+.login input { width: 100%; box-sizing: border-box; padding: 10px; margin: 8px 0 16px; }
+`;
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+function digest(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+function csvCell(value) {
+  let text = String(value ?? "");
+  // Keep spreadsheet apps from evaluating visitor-supplied text as formulas.
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text;
+  }
+  return `"${text.replaceAll('"', '""')}"`;
+}
+
+function answerFor(lead, key) {
+  return lead.answers?.find((item) => item.key === key)?.answer || "";
+}
+
+function servicesFor(lead) {
+  return Array.isArray(lead.report?.recommended_services) ? lead.report.recommended_services : [];
+}
+
+function statusCell(delivery) {
+  if (!delivery) {
+    return "<td>—</td>";
+  }
+  const title = delivery.error ? ` title="${escapeHtml(delivery.error)}"` : "";
+  return `<td class="status-${escapeHtml(delivery.status)}"${title}>${escapeHtml(delivery.status)}</td>`;
+}
+
+export function createAdminRouter({
+  password,
+  dataDir,
+  leadStore,
+  reportLinks,
+  bookings,
+  sendEmail,
+  getClientIp
+}) {
+  const router = express.Router();
+  const sessions = new Map();
+  const loginFailures = new Map();
+  const auditFile = path.join(dataDir, "admin-audit.jsonl");
+  const priceViolationFile = path.join(dataDir, "price-violations.jsonl");
+  const chatTranscriptFile = path.join(dataDir, "chat-transcripts.jsonl");
+
+  function audit(req, action, detail = {}) {
+    return appendJsonLine(auditFile, {
+      at: new Date().toISOString(),
+      action,
+      ip: getClientIp(req),
+      ...detail
+    }).catch((error) => {
+      log.error("Admin audit log error", { error });
+    });
+  }
+
+  function pruneExpired(now) {
+    for (const [token, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(token);
+    }
+    for (const [ip, entry] of loginFailures) {
+      if (entry.resetAt <= now) loginFailures.delete(ip);
+    }
+  }
+
+  function passwordMatches(candidate) {
+    return crypto.timingSafeEqual(digest(candidate), digest(password));
+  }
+
+  function setSessionCookie(req, res, token, maxAgeMs) {
+    const attributes = [
+      `${SESSION_COOKIE}=${token}`,
+      "Path=/admin",
+      "HttpOnly",
+      "SameSite=Strict",
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    ];
+    if (req.secure) {
+      attributes.push("Secure");
+    }
+    res.setHeader("Set-Cookie", attributes.join("; "));
+  }
+
+  function page(res, title, body, session) {
+    const nav = session
+      ? `<nav>
+          <a href="/admin/">Leads</a>
+          <a href="/admin/failures">Delivery failures</a>
+          <a href="/admin/bookings">Bookings</a>
+          <a href="/admin/chats">Chats</a>
+          <a href="/admin/chat-guard">Chat guard</a>
+          <a href="/admin/audit">Audit log</a>
+          <a href="/admin/leads.csv">Export CSV</a>
+        </nav>
+        <form method="post" action="/admin/logout">
+          <input type="hidden" name="csrf" value="${escapeHtml(session.csrf)}" />
+          <button type="submit">Sign out</button>
+        </form>`
+      : "";
+    res.setHeader("Cache-Control", "no-store");
+    res.send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex, nofollow" />
+    <title>${escapeHtml(title)} | Ross Applied admin</title>
+    <link rel="stylesheet" href="/admin/admin.css" />
+  </head>
+  <body>
+    <header><strong>Ross Applied admin</strong>${nav}</header>
+    <main>${body}</main>
+  </body>
+</html>`);
+  }
+
+  function notice(req) {
+    const message = typeof req.query.notice === "string" ? req.query.notice : "";
+    const error = typeof req.query.error === "string" ? req.query.error : "";
+    return (
+      (message ? `<p class="notice">${escapeHtml(message)}</p>` : "") +
+      (error ? `<p class="notice error">${escapeHtml(error)}</p>` : "")
+    );
+  }
+
+  function resendForm(session, lead, recipient) {
+    return `<form class="inline" method="post" action="/admin/leads/${encodeURIComponent(lead.id)}/resend">
+      <input type="hidden" name="csrf" value="${escapeHtml(session.csrf)}" />
+      <input type="hidden" name="recipient" value="${recipient}" />
+      <button type="submit">Re-send ${recipient === "owner" ? "owner notification" : "visitor summary"}</button>
+    </form>`;
+  }
+
+  function leadRows(leads) {
+    return leads
+      .map(
+        (lead) => `<tr>
+          <td><a href="/admin/leads/${encodeURIComponent(lead.id)}">${escapeHtml(lead.createdAt)}</a></td>
+          <td>${escapeHtml(lead.kind)}</td>
+          <td>${escapeHtml(lead.email || "(not provided)")}</td>
+          <td>${escapeHtml(answerFor(lead, "industry"))}</td>
+          <td>${escapeHtml(servicesFor(lead).join(", "))}</td>
+          ${statusCell(lead.delivery.owner)}
+          ${statusCell(lead.delivery.user)}
+        </tr>`
+      )
+      .join("");
+  }
+
+  function leadTable(leads) {
+    if (!leads.length) {
+      return "<p>No submissions yet.</p>";
+    }
+    return `<table>
+      <thead><tr><th>Submitted</th><th>Source</th><th>Email</th><th>Industry</th><th>Recommended services</th><th>Owner email</th><th>Visitor email</th></tr></thead>
+      <tbody>${leadRows(leads)}</tbody>
+    </table>`;
+  }
+
+  router.use(express.urlencoded({ extended: false, limit: "10kb" }));
+
+  router.use((req, res, next) => {
+    if (!password) {
+      return res.status(404).send("Not found.");
+    }
+    const now = Date.now();
+    pruneExpired(now);
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = token ? sessions.get(token) : undefined;
+    if (session) {
+      session.expiresAt = now + SESSION_TTL_MS;
+      req.adminSession = session;
+    }
+    next();
+  });
+
+  router.get("/admin.css", (req, res) => {
+    res.type("text/css").send(ADMIN_CSS);
+  });
+
+  router.get("/login", (req, res) => {
+    if (req.adminSession) {
+      return res.redirect(303, "/admin/");
+    }
+    page(
+      res,
+      "Sign in",
+      `<form class="login" method="post" action="/admin/login">
+        <h1>Sign in</h1>
+        ${notice(req)}
+        <label for="password">Admin password</label>
+        <input id="password" name="password" type="password" autocomplete="current-password" required />
+        <button type="submit">Sign in</button>
+      </form>`
+    );
+  });
+
+  router.post("/login", async (req, res) => {
+    const ip = getClientIp(req);
+    const now = Date.now();
+    const failures = loginFailures.get(ip);
+    if (failures && failures.count >= LOGIN_MAX_FAILURES) {
+      await audit(req, "login_blocked");
+      res.setHeader("Retry-After", String(Math.ceil((failures.resetAt - now) / 1000)));
+      return res.status(429).send("Too many sign-in attempts. Try again later.");
+    }
+
+    if (!passwordMatches(String(req.body?.password || ""))) {
+      const entry = failures || { count: 0, resetAt: now + LOGIN_WINDOW_MS };
+      entry.count += 1;
+      loginFailures.set(ip, entry);
+      await audit(req, "login_failed");
+      await new Promise((resolve) => setTimeout(resolve, entry.count * LOGIN_FAILURE_DELAY_MS));
+      return res.redirect(303, "/admin/login?error=" + encodeURIComponent("Incorrect password."));
+    }
+
+    loginFailures.delete(ip);
+    const token = crypto.randomBytes(32).toString("base64url");
+    sessions.set(token, {
+      csrf: crypto.randomBytes(24).toString("base64url"),
+      createdAt: now,
+      expiresAt: now + SESSION_TTL_MS
+    });
+    setSessionCookie(req, res, token, SESSION_TTL_MS);
+    await audit(req, "login");
+    res.redirect(303, "/admin/");
+  });
+
+  router.use((req, res, next) => {
+    if (!req.adminSession) {
+      return res.redirect(303, "/admin/login");
+    }
+    if (req.method === "POST" && req.body?.csrf !== req.adminSession.csrf) {
+      return res.status(403).send("Invalid form token. Reload the page and try again.");
+    }
+    next();
+  });
+
+  router.post("/logout", async (req, res) => {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    sessions.delete(token);
+    setSessionCookie(req, res, "", 0);
+    await audit(req, "logout");
+    res.redirect(303, "/admin/login");
+  });
+
+  router.get("/", async (req, res) => {
+    const leads = await leadStore.list();
+    page(
+      res,
+      "Leads",
+      `<h1>Walkthrough and contact submissions</h1>${notice(req)}<p>${leads.length} total.</p>${leadTable(leads)}`,
+      req.adminSession
+    );
+  });
+
+  router.get("/failures", async (req, res) => {
+    const leads = (await leadStore.list()).filter((lead) =>
+      Object.values(lead.delivery).some((delivery) => UNDELIVERED.has(delivery.status))
+    );
+    const rows = leads
+      .flatMap((lead) =>
+        Object.entries(lead.delivery)
+          .filter(([, delivery]) => UNDELIVERED.has(delivery.status))
+          .map(
+            ([recipient, delivery]) => `<tr>
+              <td><a href="/admin/leads/${encodeURIComponent(lead.id)}">${escapeHtml(lead.createdAt)}</a></td>
+              <td>${escapeHtml(recipient)}</td>
+              <td>${escapeHtml(lead.notifications?.[recipient]?.to || "")}</td>
+              ${statusCell(delivery)}
+              <td>${escapeHtml(delivery.error)}</td>
+              <td>${delivery.attempts}</td>
+              <td>${escapeHtml(delivery.nextAttemptAt || "—")}</td>
+              <td>${RECIPIENTS.has(recipient) ? resendForm(req.adminSession, lead, recipient) : ""}</td>
+            </tr>`
+          )
+      )
+      .join("");
+    page(
+      res,
+      "Delivery failures",
+      `<h1>Email delivery failures</h1>${notice(req)}` +
+        (rows
+          ? `<table>
+              <thead><tr><th>Submitted</th><th>Recipient</th><th>To</th><th>Status</th><th>Last error</th><th>Attempts</th><th>Next retry</th><th></th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>`
+          : "<p>No failed deliveries.</p>"),
+      req.adminSession
+    );
+  });
+
+  router.get("/leads.csv", async (req, res) => {
+    const leads = await leadStore.list();
+    const keys = [
+      "industry",
+      "team_size",
+      "pain_points",
+      "tools",
+      "goals",
+      "timeline",
+      "budget",
+      "name",
+      "company",
+      "service",
+      "message"
+    ];
+    const header = [
+      "id",
+      "submitted_at",
+      "kind",
+      "email",
+      ...keys,
+      "recommended_services",
+      "summary",
+      "owner_status",
+      "owner_error",
+      "user_status",
+      "user_error"
+    ];
+    const rows = leads.map((lead) => [
+      lead.id,
+      lead.createdAt,
+      lead.kind,
+      lead.email,
+      ...keys.map((key) => answerFor(lead, key)),
+      servicesFor(lead).join("; "),
+      lead.report?.summary || "",
+      lead.delivery.owner?.status || "",
+      lead.delivery.owner?.error || "",
+      lead.delivery.user?.status || "",
+      lead.delivery.user?.error || ""
+    ]);
+    await audit(req, "export_csv", { count: leads.length });
+    res.setHeader("Cache-Control", "no-store");
+    res.attachment(`leads-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type("text/csv").send(
+      [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n"
+    );
+  });
+
+  router.get("/leads/:id", async (req, res) => {
+    const lead = await leadStore.get(req.params.id);
+    if (!lead) {
+      return res.status(404).send("Lead not found.");
+    }
+
+    const answers = (lead.answers || [])
+      .map((item) => `<dt>${escapeHtml(item.question)}</dt><dd>${escapeHtml(item.answer)}</dd>`)
+      .join("");
+    const deliveries = Object.entries(lead.notifications || {})
+      .filter(([, notification]) => notification)
+      .map(([recipient, notification]) => {
+        const delivery = lead.delivery[recipient] || { status: "pending", attempts: 0 };
+        return `<tr>
+          <td>${escapeHtml(recipient)}</td>
+          <td>${escapeHtml(notification.to)}</td>
+          ${statusCell(delivery)}
+          <td>${escapeHtml(delivery.error || "")}</td>
+          <td>${delivery.attempts}</td>
+          <td>${RECIPIENTS.has(recipient) ? resendForm(req.adminSession, lead, recipient) : ""}</td>
+        </tr>`;
+      })
+      .join("");
+    const links = (await reportLinks.forLead(lead.id))
+      .map(
+        (link) => `<tr>
+          <td>${escapeHtml(link.createdAt)}</td>
+          <td>${escapeHtml(link.expiresAt)}</td>
+          <td class="status-${link.status === "active" ? "sent" : "failed"}">${escapeHtml(link.status)}${
+            link.revokedBy ? ` by ${escapeHtml(link.revokedBy)}` : ""
+          }</td>
+          <td>${
+            link.status === "active"
+              ? `<form class="inline" method="post" action="/admin/leads/${encodeURIComponent(lead.id)}/links/${encodeURIComponent(link.id)}/revoke">
+              <input type="hidden" name="csrf" value="${escapeHtml(req.adminSession.csrf)}" />
+              <button type="submit">Revoke link</button>
+            </form>`
+              : ""
+          }</td>
+        </tr>`
+      )
+      .join("");
+
+    const calls = (await bookings.forLead(lead.id))
+      .map(
+        (booking) => `<tr>
+          <td>${escapeHtml(booking.startTime)}</td>
+          <td>${escapeHtml(booking.eventName)}</td>
+          <td class="status-${booking.status === "active" ? "sent" : "failed"}">${escapeHtml(
+            booking.status
+          )}</td>
+          <td>${escapeHtml(booking.cancelReason || "")}</td>
+          <td>${escapeHtml(booking.receivedAt)}</td>
+        </tr>`
+      )
+      .join("");
+
+    page(
+      res,
+      "Lead",
+      `<h1>${lead.kind === "contact" ? "Contact message" : "Walkthrough submission"} ${escapeHtml(lead.createdAt)}</h1>${notice(req)}
+      <h2>Answers</h2><dl>${answers}</dl>
+      ${
+        lead.report
+          ? `<h2>Recommended services</h2><p>${escapeHtml(servicesFor(lead).join(", ") || "None")}</p>
+      <h2>Summary</h2><pre>${escapeHtml(lead.report.summary || "")}</pre>
+      <h2>Suggested next step</h2><p>${escapeHtml(lead.report.suggested_next_step || "")}</p>`
+          : ""
+      }
+      <h2>Email delivery</h2>
+      <table>
+        <thead><tr><th>Recipient</th><th>To</th><th>Status</th><th>Last error</th><th>Attempts</th><th></th></tr></thead>
+        <tbody>${deliveries}</tbody>
+      </table>
+      ${
+        links
+          ? `<h2>Result links</h2>
+      <table>
+        <thead><tr><th>Created</th><th>Expires</th><th>Status</th><th></th></tr></thead>
+        <tbody>${links}</tbody>
+      </table>`
+          : ""
+      }
+      ${
+        calls
+          ? `<h2>Booked calls</h2>
+      <table>
+        <thead><tr><th>Starts</th><th>Event</th><th>Status</th><th>Cancel reason</th><th>Received</th></tr></thead>
+        <tbody>${calls}</tbody>
+      </table>`
+          : ""
+      }`,
+      req.adminSession
+    );
+  });
+
+  router.post("/leads/:id/resend", async (req, res) => {
+    const recipient = String(req.body?.recipient || "");
+    const back = `/admin/leads/${encodeURIComponent(req.params.id)}`;
+    if (!RECIPIENTS.has(recipient)) {
+      return res.redirect(303, `${back}?error=${encodeURIComponent("Unknown recipient.")}`);
+    }
+
+    try {
+      await leadStore.resend(req.params.id, recipient, sendEmail);
+      await audit(req, "resend", { leadId: req.params.id, recipient, status: "sent" });
+      res.redirect(303, `${back}?notice=${encodeURIComponent("Email sent.")}`);
+    } catch (error) {
+      const message = error?.message || "Send failed.";
+      await audit(req, "resend", { leadId: req.params.id, recipient, status: "failed", error: message });
+      res.redirect(303, `${back}?error=${encodeURIComponent(message)}`);
+    }
+  });
+
+  router.post("/leads/:id/links/:linkId/revoke", async (req, res) => {
+    const back = `/admin/leads/${encodeURIComponent(req.params.id)}`;
+    const link = (await reportLinks.forLead(req.params.id)).find(
+      (entry) => entry.id === req.params.linkId
+    );
+    if (!link) {
+      return res.redirect(303, `${back}?error=${encodeURIComponent("Link not found.")}`);
+    }
+
+    await reportLinks.revoke(link.id, "admin");
+    await audit(req, "revoke_link", { leadId: req.params.id, linkId: link.id });
+    res.redirect(303, `${back}?notice=${encodeURIComponent("Result link revoked.")}`);
+  });
+
+  router.get("/bookings", async (req, res) => {
+    const rows = (await bookings.list())
+      .map(
+        (booking) => `<tr>
+          <td>${escapeHtml(booking.startTime)}</td>
+          <td>${escapeHtml(booking.name)}</td>
+          <td>${escapeHtml(booking.email)}</td>
+          <td>${escapeHtml(booking.eventName)}</td>
+          <td class="status-${booking.status === "active" ? "sent" : "failed"}">${escapeHtml(
+            booking.status
+          )}</td>
+          <td>${escapeHtml(booking.cancelReason || "")}</td>
+          <td>${(booking.leadIds || [])
+            .map((id) => `<a href="/admin/leads/${encodeURIComponent(id)}">lead</a>`)
+            .join(" ")}</td>
+          <td>${escapeHtml(booking.receivedAt)}</td>
+        </tr>`
+      )
+      .join("");
+    page(
+      res,
+      "Bookings",
+      `<h1>Booked calls</h1>` +
+        (rows
+          ? `<table>
+              <thead><tr><th>Starts</th><th>Name</th><th>Email</th><th>Event</th><th>Status</th><th>Cancel reason</th><th>Leads</th><th>Received</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>`
+          : "<p>No bookings recorded.</p>"),
+      req.adminSession
+    );
+  });
+
+  // Turns are logged one per line; a conversation is every turn with the same session id,
+  // listed newest conversation first.
+  router.get("/chats", async (req, res) => {
+    const conversations = new Map();
+    for (const turn of await readJsonLines(chatTranscriptFile)) {
+      const turns = conversations.get(turn.sessionId) || [];
+      conversations.delete(turn.sessionId);
+      conversations.set(turn.sessionId, [...turns, turn]);
+    }
+    const sections = Array.from(conversations.values())
+      .reverse()
+      .slice(0, 100)
+      .map(
+        (turns) => `<h2>${escapeHtml(turns[0].at)}</h2>
+        <table>
+          <thead><tr><th>At</th><th>Visitor</th><th>Concierge</th></tr></thead>
+          <tbody>${turns
+            .map(
+              (turn) => `<tr>
+                <td>${escapeHtml(turn.at)}</td>
+                <td>${escapeHtml(turn.message)}</td>
+                <td><pre>${escapeHtml(turn.reply)}</pre></td>
+              </tr>`
+            )
+            .join("")}</tbody>
+        </table>`
+      )
+      .join("");
+    page(
+      res,
+      "Chats",
+      `<h1>Chat transcripts</h1>
+      <p>Conversations with the site concierge, as the visitor saw them.</p>` +
+        (sections || "<p>No conversations recorded.</p>"),
+      req.adminSession
+    );
+  });
+
+  router.get("/chat-guard", async (req, res) => {
+    const entries = (await readJsonLines(priceViolationFile)).reverse().slice(0, 200);
+    const rows = entries
+      .map(
+        (entry) => `<tr>
+          <td>${escapeHtml(entry.at)}</td>
+          <td>${escapeHtml(entry.message)}</td>
+          <td>${escapeHtml(entry.violations.map((item) => `${item.type}: ${item.value}`).join("; "))}</td>
+          <td><pre>${escapeHtml(entry.original)}</pre></td>
+        </tr>`
+      )
+      .join("");
+    page(
+      res,
+      "Chat guard",
+      `<h1>Chat pricing violations</h1>
+      <p>Replies the concierge rewrote because they quoted an unpublished price or service.</p>` +
+        (rows
+          ? `<table>
+              <thead><tr><th>At</th><th>Visitor message</th><th>Violations</th><th>Original reply</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>`
+          : "<p>No violations recorded.</p>"),
+      req.adminSession
+    );
+  });
+
+  router.get("/audit", async (req, res) => {
+    const entries = (await readJsonLines(auditFile)).reverse().slice(0, 200);
+    const rows = entries
+      .map(({ at, action, ip, ...detail }) => `<tr>
+          <td>${escapeHtml(at)}</td>
+          <td>${escapeHtml(action)}</td>
+          <td>${escapeHtml(ip)}</td>
+          <td>${escapeHtml(Object.keys(detail).length ? JSON.stringify(detail) : "")}</td>
+        </tr>`)
+      .join("");
+    page(
+      res,
+      "Audit log",
+      `<h1>Admin audit log</h1>` +
+        (rows
+          ? `<table>
+              <thead><tr><th>At</th><th>Action</th><th>IP</th><th>Detail</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>`
+          : "<p>No admin activity recorded.</p>"),
+      req.adminSession
+    );
+  });
+
+  return router;
+}
@@ -0,0 +1,116 @@
+import crypto from "crypto";
+import path from "path";
+import { appendJsonLine, readJsonLines } from "./jsonl.js";
+
+export const BOOKING_EVENTS = ["invitee.created", "invitee.canceled"];
+
+// Checks a Calendly-Webhook-Signature header ("t=<unix seconds>,v1=<hex>") against
+// the raw request body. The timestamp is part of the signed content, so rejecting
+// old timestamps stops a captured request from being replayed later.
+export function verifyCalendlySignature({
+  header,
+  body,
+  signingKey,
+  toleranceMs = 3 * 60 * 1000,
+  now = Date.now()
+}) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("="))
+      .filter(([key, value]) => key && value)
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !/^[0-9a-f]{64}$/i.test(parts.v1 || "")) {
+    return { ok: false, error: "Missing or malformed signature." };
+  }
+  if (Math.abs(now - timestamp * 1000) > toleranceMs) {
+    return { ok: false, error: "Signature timestamp is outside the allowed window." };
+  }
+
+  const expected = crypto
+    .createHmac("sha256", signingKey)
+    .update(`${parts.t}.${body}`)
+    .digest();
+  if (!crypto.timingSafeEqual(expected, Buffer.from(parts.v1, "hex"))) {
+    return { ok: false, error: "Signature does not match." };
+  }
+  return { ok: true, error: "" };
+}
+
+// Calendly bookings received by webhook, as an append-only log. Each delivery is
+// identified by its event name and invitee URI, which Calendly keeps the same when it
+// retries, so a repeated delivery is recognized. "booking" and "cancel" records hold
+// what happened; a "notified" record marks the owner email for that event as sent.
+export function createBookingStore({ dataDir }) {
+  const file = path.join(dataDir, "bookings.jsonl");
+
+  async function read() {
+    const bookings = new Map();
+    const events = new Map();
+    for (const record of await readJsonLines(file)) {
+      if (record.type === "booking") {
+        bookings.set(record.inviteeUri, { ...record, status: "active", canceledAt: "" });
+        events.set(record.key, { notified: false });
+      } else if (record.type === "cancel") {
+        const booking = bookings.get(record.inviteeUri);
+        if (booking) {
+          Object.assign(booking, {
+            status: record.rescheduled ? "rescheduled" : "canceled",
+            canceledAt: record.at,
+            cancelReason: record.reason || ""
+          });
+        }
+        events.set(record.key, { notified: false });
+      } else if (record.type === "notified" && events.has(record.key)) {
+        events.get(record.key).notified = true;
+      }
+    }
+    return { bookings, events };
+  }
+
+  async function list() {
+    const { bookings } = await read();
+    return Array.from(bookings.values()).sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  }
+
+  return {
+    file,
+    list,
+
+    async forLead(leadId) {
+      return (await list()).filter((booking) => booking.leadIds.includes(leadId));
+    },
+
+    // Returns { recorded, notified } for a webhook event key.
+    async event(key) {
+      const { events } = await read();
+      return { recorded: events.has(key), notified: events.get(key)?.notified || false };
+    },
+
+    async recordBooking(key, booking) {
+      await appendJsonLine(file, {
+        type: "booking",
+        key,
+        ...booking,
+        receivedAt: new Date().toISOString()
+      });
+    },
+
+    async recordCancel(key, { inviteeUri, reason, canceledBy, rescheduled }) {
+      await appendJsonLine(file, {
+        type: "cancel",
+        key,
+        inviteeUri,
+        reason: reason || "",
+        canceledBy: canceledBy || "",
+        rescheduled: Boolean(rescheduled),
+        at: new Date().toISOString()
+      });
+    },
+
+    async markNotified(key) {
+      await appendJsonLine(file, { type: "notified", key, at: new Date().toISOString() });
+    }
+  };
+}
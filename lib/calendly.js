@@ -0,0 +1,167 @@
+// Small client for the parts of the Calendly v2 API the scheduling routes use. User
+// and event type lookups rarely change, so they are cached for `cacheTtlMs`; every
+// request is bounded by `timeoutMs`. Failures are thrown as Errors with a `code` and
+// the HTTP `status` the route should answer with, so callers can pass them through.
+
+export const CALENDLY_API_BASE_URL = "https://api.calendly.com";
+
+const ERROR_STATUS = {
+  timeout: 504,
+  unavailable: 502,
+  unauthorized: 503,
+  rate_limited: 503,
+  not_found: 404,
+  rejected: 409
+};
+
+export function calendlyError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, status: ERROR_STATUS[code], ...details });
+}
+
+function errorForResponse(response, body) {
+  const detail = body?.message || body?.title || `Calendly returned ${response.status}.`;
+  if (response.status === 401 || response.status === 403) {
+    return calendlyError("unauthorized", "Scheduling is not available right now.", { detail });
+  }
+  if (response.status === 404) {
+    return calendlyError("not_found", "That event type no longer exists.", { detail });
+  }
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers.get("retry-after")) || 60;
+    return calendlyError("rate_limited", "Scheduling is busy. Try again shortly.", {
+      detail,
+      retryAfter
+    });
+  }
+  if (response.status === 400 || response.status === 409 || response.status === 422) {
+    // Calendly's message is meant for people, e.g. "The selected time is no longer available".
+    return calendlyError("rejected", detail, { detail });
+  }
+  return calendlyError("unavailable", "Calendly is not responding right now.", { detail });
+}
+
+export function createCalendlyClient({
+  token,
+  baseUrl = CALENDLY_API_BASE_URL,
+  timeoutMs = 10000,
+  cacheTtlMs = 10 * 60 * 1000,
+  fetch = globalThis.fetch
+}) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const cache = new Map();
+
+  async function request(path, { method = "GET", query, body } = {}) {
+    const url = new URL(root + path);
+    for (const [key, value] of Object.entries(query || {})) {
+      url.searchParams.set(key, value);
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json"
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      if (error?.name === "TimeoutError") {
+        throw calendlyError("timeout", "Calendly took too long to respond.");
+      }
+      throw calendlyError("unavailable", "Calendly is not responding right now.", {
+        detail: error?.message
+      });
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw errorForResponse(response, data);
+    }
+    return data;
+  }
+
+  // Caches the promise, not the value, so concurrent callers share one request. A
+  // failed lookup is dropped straight away instead of being cached.
+  function cached(key, load) {
+    const entry = cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+    const value = load().catch((error) => {
+      cache.delete(key);
+      throw error;
+    });
+    cache.set(key, { value, expiresAt: Date.now() + cacheTtlMs });
+    return value;
+  }
+
+  async function currentUser() {
+    return cached("user", async () => {
+      const data = await request("/users/me");
+      if (!data?.resource?.uri) {
+        throw calendlyError("unavailable", "Calendly user not found.");
+      }
+      return data.resource;
+    });
+  }
+
+  async function eventTypes() {
+    const user = await currentUser();
+    return cached(`event_types:${user.uri}`, async () => {
+      const data = await request("/event_types", { query: { user: user.uri, active: "true" } });
+      return Array.isArray(data?.collection) ? data.collection : [];
+    });
+  }
+
+  return {
+    currentUser,
+    eventTypes,
+
+    // The intro call event type, or the first active one if none is named that way.
+    async introEventType() {
+      const types = await eventTypes();
+      const selected =
+        types.find((type) => String(type?.name || "").toLowerCase().includes("intro")) ||
+        types[0];
+      if (!selected?.uri) {
+        throw calendlyError("unavailable", "No Calendly event types found.");
+      }
+      return selected;
+    },
+
+    async eventType(uri) {
+      const id = String(uri || "").split("/").pop();
+      if (!id) {
+        throw calendlyError("not_found", "That event type no longer exists.");
+      }
+      return cached(`event_type:${id}`, async () => {
+        const data = await request(`/event_types/${encodeURIComponent(id)}`);
+        return data?.resource || {};
+      });
+    },
+
+    // Open start times for an event type. Calendly allows at most seven days per call.
+    async availableTimes(eventTypeUri, { start, end }) {
+      const data = await request("/event_type_available_times", {
+        query: {
+          event_type: eventTypeUri,
+          start_time: start.toISOString(),
+          end_time: end.toISOString()
+        }
+      });
+      return Array.isArray(data?.collection) ? data.collection : [];
+    },
+
+    async createInvitee(payload) {
+      const data = await request("/invitees", { method: "POST", body: payload });
+      return data?.resource || {};
+    },
+
+    clearCache() {
+      cache.clear();
+    }
+  };
+}
@@ -0,0 +1,180 @@
+// Single source of truth for service names, URLs, and published prices.
+// Static copies (service pages, contact form, llms.txt) are regenerated from this
+// file with `npm run catalog:sync`; `npm run validate` fails when a copy drifts.
+
+export const SITE_ORIGIN = "https://rossapplied.ai";
+
+export const services = [
+  {
+    slug: "local-search-visibility",
+    name: "Local Search Visibility Fix Sprint",
+    url: "/services/local-search-visibility/",
+    available: true
+  },
+  {
+    slug: "ai-strategy-assessment",
+    name: "AI Strategy Assessment",
+    url: "/services/ai-strategy-assessment/",
+    available: true
+  },
+  {
+    slug: "ai-integration",
+    name: "AI Integration",
+    url: "/services/ai-integration/",
+    available: true
+  },
+  {
+    slug: "custom-ai-development",
+    name: "Custom AI Development",
+    url: "/services/custom-ai-development/",
+    available: true
+  },
+  {
+    slug: "ai-training",
+    name: "AI Training & Enablement",
+    url: "/services/ai-training/",
+    available: true
+  },
+  {
+    slug: "ongoing-ai-support",
+    name: "Ongoing AI Support",
+    url: "/services/",
+    available: true
+  },
+  {
+    slug: "talks",
+    name: "Talks & Presentations",
+    url: "/services/talks/",
+    available: true
+  }
+];
+
+// `fact` is the sentence the chat assistant and llms.txt may repeat verbatim;
+// `{price}` is replaced with the formatted amount. `keywords` tie a quoted amount
+// back to the offer it belongs to when chat replies are checked.
+export const prices = [
+  {
+    id: "visibility-pilot",
+    service: "local-search-visibility",
+    label: "Founding pilot",
+    amount: 500,
+    url: "/services/local-search-visibility/",
+    available: true,
+    keywords: ["founding pilot", "pilot", "local search", "visibility"],
+    fact: "the Local Search Visibility Fix Sprint founding pilot is {price}, and 50% is due upfront"
+  },
+  {
+    id: "visibility-standard",
+    service: "local-search-visibility",
+    label: "Standard price",
+    amount: 1250,
+    url: "/services/local-search-visibility/",
+    available: true,
+    keywords: ["standard price", "local search", "visibility"],
+    fact: "the Local Search Visibility Fix Sprint standard price later is {price}"
+  },
+  {
+    id: "starter",
+    service: "ai-strategy-assessment",
+    label: "Starter",
+    amount: 1750,
+    url: "/services/",
+    available: true,
+    keywords: ["starter", "strategy assessment"],
+    fact: "Starter is {price} (1-day assessment + recommendations)"
+  },
+  {
+    id: "growth",
+    service: "ai-integration",
+    label: "Growth",
+    amount: 7500,
+    url: "/services/",
+    available: true,
+    keywords: ["growth", "integration"],
+    fact: "Growth is {price} (implementation + training)"
+  },
+  {
+    id: "enterprise",
+    service: "custom-ai-development",
+    label: "Enterprise",
+    amount: 20000,
+    orMore: true,
+    url: "/services/",
+    available: true,
+    keywords: ["enterprise", "custom ai development", "custom development"],
+    fact: "Enterprise is {price} (custom development)"
+  },
+  {
+    id: "retainer",
+    service: "ongoing-ai-support",
+    label: "Retainer",
+    amount: 1500,
+    per: "month",
+    url: "/services/",
+    available: true,
+    keywords: ["retainer", "ongoing", "support"],
+    fact: "the ongoing support retainer is {price}"
+  },
+  {
+    id: "talks-keynote",
+    service: "talks",
+    label: "Tulsa-area keynotes",
+    amount: 500,
+    url: "/services/talks/",
+    available: true,
+    keywords: ["keynote", "talk", "presentation", "speaking"],
+    fact: "Tulsa-area keynotes start at {price} (workshops and executive briefings are quoted per scope)"
+  }
+];
+
+export function formatPrice(price) {
+  return (
+    "$" +
+    price.amount.toLocaleString("en-US") +
+    (price.orMore ? "+" : "") +
+    (price.per ? `/${price.per}` : "")
+  );
+}
+
+export function priceFact(price) {
+  return price.fact.replace("{price}", formatPrice(price));
+}
+
+export function findService(slugOrName) {
+  const key = String(slugOrName || "").trim().toLowerCase();
+  return services.find(
+    (service) => service.slug === key || service.name.toLowerCase() === key
+  );
+}
+
+export function findPrice(id) {
+  return prices.find((price) => price.id === id);
+}
+
+export function serviceName(slug) {
+  const service = findService(slug);
+  if (!service) {
+    throw new Error(`Unknown catalog service: ${slug}`);
+  }
+  return service.name;
+}
+
+export function availableServices() {
+  return services.filter((service) => service.available);
+}
+
+export function publishedPrices() {
+  return prices.filter((price) => price.available && findService(price.service)?.available);
+}
+
+export function absoluteUrl(url) {
+  return SITE_ORIGIN + url;
+}
+
+export function serviceNameList(list = availableServices()) {
+  const names = list.map((service) => service.name);
+  if (names.length < 2) {
+    return names.join("");
+  }
+  return `${names.slice(0, -1).join(", ")}, and ${names.at(-1)}`;
+}
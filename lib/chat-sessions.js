@@ -0,0 +1,93 @@
+import crypto from "crypto";
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Rough English-text heuristic; good enough to keep prompts bounded without a tokenizer.
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+export function createChatSessionStore({
+  ttlMs = 30 * 60 * 1000,
+  maxTurns = 6,
+  maxTokens = 1500,
+  maxSessions = 1000
+} = {}) {
+  const sessions = new Map();
+
+  function isExpired(session, now) {
+    return now - session.updatedAt > ttlMs;
+  }
+
+  function prune(now) {
+    for (const [id, session] of sessions) {
+      if (isExpired(session, now)) {
+        sessions.delete(id);
+      }
+    }
+    while (sessions.size > maxSessions) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+
+  function touch(session, now) {
+    session.updatedAt = now;
+    sessions.delete(session.id);
+    sessions.set(session.id, session);
+  }
+
+  function trim(session) {
+    if (session.turns.length > maxTurns) {
+      session.turns.splice(0, session.turns.length - maxTurns);
+    }
+
+    let total = session.turns.reduce((sum, turn) => sum + turn.tokens, 0);
+    while (session.turns.length > 0 && total > maxTokens) {
+      total -= session.turns.shift().tokens;
+    }
+  }
+
+  return {
+    resume(id) {
+      const now = Date.now();
+      prune(now);
+
+      const key = typeof id === "string" && SESSION_ID_PATTERN.test(id) ? id : "";
+      const existing = key ? sessions.get(key) : undefined;
+      if (existing && !isExpired(existing, now)) {
+        touch(existing, now);
+        return existing;
+      }
+
+      const session = { id: crypto.randomUUID(), turns: [], createdAt: now, updatedAt: now };
+      sessions.set(session.id, session);
+      prune(now);
+      return session;
+    },
+
+    history(session) {
+      return session.turns.flatMap((turn) => [
+        { role: "user", content: turn.user },
+        { role: "assistant", content: turn.assistant }
+      ]);
+    },
+
+    recordTurn(session, user, assistant) {
+      session.turns.push({
+        user,
+        assistant,
+        tokens: estimateTokens(user) + estimateTokens(assistant)
+      });
+      trim(session);
+      touch(session, Date.now());
+    },
+
+    reset(id) {
+      return typeof id === "string" && sessions.delete(id);
+    },
+
+    get size() {
+      return sessions.size;
+    }
+  };
+}
@@ -0,0 +1,110 @@
+import { deliveryKey } from "./lead-store.js";
+import { log } from "./logger.js";
+
+// Delivers lead notifications with retries. State lives in the lead store's delivery
+// records, so queued retries survive a restart: a failed attempt records when the next
+// one is due, and after maxAttempts consecutive failures the delivery is marked "dead"
+// and left for a manual re-send from the admin console or `npm run leads:resend`.
+export function createEmailQueue({
+  leadStore,
+  send,
+  maxAttempts = 6,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+  pollMs = 15 * 1000
+}) {
+  const inFlight = new Set();
+  let timer = null;
+
+  function retryDelay(failures) {
+    return Math.min(baseDelayMs * 2 ** (failures - 1), maxDelayMs);
+  }
+
+  function isDue(lead, recipient, now) {
+    const delivery = lead.delivery[recipient];
+    if (!delivery || delivery.status === "pending") {
+      // A fresh lead is sent inline by the request that created it; only pick it up
+      // here if that attempt never happened (e.g. the process stopped in between).
+      return Date.parse(lead.createdAt) + baseDelayMs <= now;
+    }
+    return (
+      delivery.status === "failed" &&
+      Boolean(delivery.nextAttemptAt) &&
+      Date.parse(delivery.nextAttemptAt) <= now
+    );
+  }
+
+  // Returns "" when the email was sent, otherwise the error message.
+  async function attempt(lead, recipient) {
+    const notification = lead.notifications?.[recipient];
+    const id = `${lead.id}:${recipient}`;
+    if (!notification) {
+      return "";
+    }
+    if (inFlight.has(id)) {
+      return "Delivery already in progress.";
+    }
+
+    inFlight.add(id);
+    let outcome = { status: "sent" };
+    try {
+      await send({ ...notification, idempotencyKey: deliveryKey(lead, recipient) });
+    } catch (error) {
+      const failures = (lead.delivery[recipient]?.failures || 0) + 1;
+      outcome = { status: "failed", error: error?.message || "Send failed." };
+      if (failures >= maxAttempts) {
+        outcome.status = "dead";
+      } else {
+        outcome.nextAttemptAt = new Date(Date.now() + retryDelay(failures)).toISOString();
+      }
+    }
+
+    try {
+      await leadStore.recordDelivery(lead.id, recipient, outcome);
+    } catch (storeError) {
+      log.error("Lead store error", { error: storeError });
+    } finally {
+      inFlight.delete(id);
+    }
+    return outcome.error || "";
+  }
+
+  async function runDue(now = Date.now()) {
+    let attempted = 0;
+    for (const lead of await leadStore.list()) {
+      for (const recipient of Object.keys(lead.notifications || {})) {
+        if (lead.notifications[recipient] && isDue(lead, recipient, now)) {
+          attempted += 1;
+          await attempt(lead, recipient);
+        }
+      }
+    }
+    return attempted;
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      try {
+        await runDue();
+      } catch (error) {
+        log.error("Email queue error", { error });
+      }
+      if (timer) schedule();
+    }, pollMs);
+    timer.unref();
+  }
+
+  return {
+    deliver: attempt,
+    runDue,
+
+    start() {
+      if (!timer) schedule();
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
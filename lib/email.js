@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+export const EMAIL_TRANSPORTS = ["resend", "smtp", "outbox"];
+
+// Attachments travel as { filename, contentType, content } with base64 content, so a
+// notification can be stored as JSON and re-sent later.
+function mailAttachments(attachments) {
+  return (attachments || []).map(({ filename, contentType, content }) => ({
+    filename,
+    contentType,
+    content: Buffer.from(content, "base64")
+  }));
+}
+
+function domainOf(address) {
+  return String(address).match(/@([^>\s]+)/)?.[1] || "localhost";
+}
+
+export function createResendSender({ apiKey, from }) {
+  return async function sendResendEmail({
+    to,
+    replyTo,
+    subject,
+    html,
+    text,
+    attachments,
+    idempotencyKey
+  }) {
+    if (!apiKey) {
+      throw new Error("Missing RESEND_API_KEY.");
+    }
+
+    const response = await fetch("https://api.resend.com/emails", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`,
+        "Idempotency-Key": idempotencyKey || crypto.randomUUID()
+      },
+      body: JSON.stringify({
+        from,
+        to,
+        ...(replyTo ? { reply_to: replyTo } : {}),
+        subject,
+        html,
+        text,
+        ...(attachments?.length
+          ? {
+              attachments: attachments.map(({ filename, content }) => ({ filename, content }))
+            }
+          : {})
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Resend error: ${response.status} ${errorText}`);
+    }
+  };
+}
+
+export function createSmtpSender({ url, host, port, secure, user, pass, from }) {
+  if (!url && !host) {
+    return async function sendSmtpEmail() {
+      throw new Error("Missing SMTP_URL or SMTP_HOST.");
+    };
+  }
+
+  const transporter = nodemailer.createTransport(
+    url || {
+      host,
+      port: Number(port) || (secure ? 465 : 587),
+      secure: Boolean(secure),
+      ...(user ? { auth: { user, pass } } : {})
+    }
+  );
+
+  return async function sendSmtpEmail({
+    to,
+    replyTo,
+    subject,
+    html,
+    text,
+    attachments,
+    idempotencyKey
+  }) {
+    // SMTP has no idempotency support; a stable Message-ID at least lets mail clients
+    // collapse a duplicate delivered by a retry.
+    const messageId = idempotencyKey ? `<${idempotencyKey}@${domainOf(from)}>` : undefined;
+    try {
+      await transporter.sendMail({
+        from,
+        to,
+        replyTo,
+        subject,
+        html,
+        text,
+        attachments: mailAttachments(attachments),
+        messageId
+      });
+    } catch (error) {
+      throw new Error(`SMTP error: ${error?.message || error}`);
+    }
+  };
+}
+
+// Writes each message to the outbox directory as a ready-to-open .eml file plus a
+// .json copy of the fields, so the email flow can be exercised without a provider.
+// Messages with an idempotency key are named after it, so a repeat overwrites the
+// earlier copy instead of adding a second one.
+export function createOutboxSender({ dir, from }) {
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+  return async function sendOutboxEmail({
+    to,
+    replyTo,
+    subject,
+    html,
+    text,
+    attachments,
+    idempotencyKey
+  }) {
+    const message = { from, to, replyTo, subject, html, text };
+    const messageId = idempotencyKey ? `<${idempotencyKey}@${domainOf(from)}>` : undefined;
+    const { message: raw } = await composer.sendMail({
+      ...message,
+      attachments: mailAttachments(attachments),
+      messageId
+    });
+    const name = idempotencyKey
+      ? idempotencyKey.slice(0, 32)
+      : `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomUUID().slice(0, 8)}`;
+    const base = path.join(dir, name);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(`${base}.eml`, raw);
+    const summary = {
+      ...message,
+      attachments: (attachments || []).map(({ filename, contentType }) => ({
+        filename,
+        contentType
+      }))
+    };
+    await fs.writeFile(`${base}.json`, JSON.stringify(summary, null, 2) + "\n");
+  };
+}
+
+// Picks the transport named by EMAIL_TRANSPORT (default "resend"). Every sender
+// takes { to, replyTo, subject, html, text, attachments, idempotencyKey } and throws
+// when delivery fails.
+export function createEmailSender(env, { dataDir }) {
+  const transport = (env.EMAIL_TRANSPORT || "resend").trim().toLowerCase();
+  const from = env.EMAIL_FROM || env.RESEND_FROM_EMAIL || "hello@rossapplied.ai";
+
+  let send;
+  if (transport === "resend") {
+    send = createResendSender({ apiKey: env.RESEND_API_KEY, from });
+  } else if (transport === "smtp") {
+    send = createSmtpSender({
+      url: env.SMTP_URL,
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from
+    });
+  } else if (transport === "outbox") {
+    send = createOutboxSender({
+      dir: env.EMAIL_OUTBOX_DIR || path.join(dataDir, "outbox"),
+      from
+    });
+  } else {
+    throw new Error(
+      `Unknown EMAIL_TRANSPORT "${transport}". Use one of: ${EMAIL_TRANSPORTS.join(", ")}.`
+    );
+  }
+
+  send.transport = transport;
+  return send;
+}
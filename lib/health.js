@@ -0,0 +1,189 @@
+import { EMAIL_TRANSPORTS } from "./email.js";
+
+// Startup checks and service status, read from the environment alone. Nothing here
+// calls OpenAI, Resend or Calendly, so a probe can't be slowed or rate-limited by
+// them; "configured" means the settings are present, not that the service is up.
+
+const SCHEDULE_PROVIDERS = ["calendly", "local"];
+const LLM_PROVIDERS = ["openai", "local", "mock"];
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const NUMBER_SETTINGS = [
+  "PORT",
+  "CALENDLY_TIMEOUT_MS",
+  "CALENDLY_CACHE_TTL_SECONDS",
+  "AVAILABILITY_CALENDAR_TIMEOUT_MS",
+  "LLM_TIMEOUT_MS",
+  "CHAT_LLM_TIMEOUT_MS",
+  "WALKTHROUGH_LLM_TIMEOUT_MS",
+  "CHAT_SESSION_TTL_MINUTES",
+  "CHAT_HISTORY_MAX_TURNS",
+  "CHAT_HISTORY_MAX_TOKENS",
+  "EMAIL_MAX_ATTEMPTS",
+  "EMAIL_RETRY_BASE_SECONDS",
+  "WALKTHROUGH_LINK_TTL_DAYS",
+  "SMTP_PORT",
+  "HSTS_MAX_AGE"
+];
+
+const URL_SETTINGS = ["OPENAI_BASE_URL", "LLM_LOCAL_BASE_URL", "CALENDLY_API_BASE_URL"];
+const BOOLEAN_SETTINGS = ["SMTP_SECURE", "WALKTHROUGH_PDF_ATTACHMENT"];
+
+// The placeholders in .env.example count as unset, so copying the example file
+// without filling it in is reported instead of failing on the first request.
+export function isSet(value) {
+  const text = String(value ?? "").trim();
+  return Boolean(text) && !/^(?:your_\w+_here|choose_a_long_\w+)$/i.test(text);
+}
+
+function llmChain(env, endpoint) {
+  return String(env[`${endpoint}_LLM_PROVIDERS`] || env.LLM_PROVIDERS || "openai")
+    .split(",")
+    .map((entry) => entry.trim().split(":")[0].toLowerCase())
+    .filter(Boolean);
+}
+
+export function emailTransport(env) {
+  return String(env.EMAIL_TRANSPORT || "resend").trim().toLowerCase();
+}
+
+// The local provider takes real bookings from its own hours, so it is only used when
+// chosen; a missing CALENDLY_API leaves Calendly selected and the embed in place.
+export function scheduleProvider(env) {
+  return String(env.SCHEDULE_PROVIDER || "calendly").trim().toLowerCase();
+}
+
+// What each backing service needs, as { configured, ...detail }. Secrets are reported
+// only as present or missing.
+export function serviceStatus(env) {
+  const transport = emailTransport(env);
+  const chains = { chat: llmChain(env, "CHAT"), walkthrough: llmChain(env, "WALKTHROUGH") };
+  const usesOpenAi = Object.values(chains).some((chain) => chain.includes("openai"));
+  const ready = {
+    openai: isSet(env.OPEN_AI_KEY),
+    local: isSet(env.LLM_LOCAL_BASE_URL) && isSet(env.LLM_LOCAL_MODEL),
+    mock: true
+  };
+  const llm = (chain) => ({ providers: chain, configured: chain.some((name) => ready[name]) });
+  const schedule = scheduleProvider(env);
+
+  return {
+    openai: {
+      configured: isSet(env.OPEN_AI_KEY),
+      required: usesOpenAi,
+      model: env.OPENAI_MODEL || "gpt-5-mini"
+    },
+    llm: { chat: llm(chains.chat), walkthrough: llm(chains.walkthrough) },
+    email: {
+      configured:
+        transport === "resend"
+          ? isSet(env.RESEND_API_KEY)
+          : transport === "smtp"
+            ? isSet(env.SMTP_URL) || isSet(env.SMTP_HOST)
+            : transport === "outbox",
+      transport
+    },
+    resend: {
+      configured: isSet(env.RESEND_API_KEY),
+      required: transport === "resend"
+    },
+    calendly: {
+      configured: isSet(env.CALENDLY_API),
+      required: schedule === "calendly",
+      webhook: isSet(env.CALENDLY_WEBHOOK_SIGNING_KEY)
+    },
+    schedule: {
+      configured:
+        schedule === "local" ? isSet(env.AVAILABILITY_CONFIG) : isSet(env.CALENDLY_API),
+      provider: schedule
+    },
+    admin: { configured: isSet(env.ADMIN_PASSWORD) },
+    metrics: { configured: isSet(env.METRICS_TOKEN) }
+  };
+}
+
+// Returns { errors, warnings }. Errors are settings the server can't run with (a typo
+// in a provider name, a timeout that isn't a number); warnings are features that will
+// be switched off because their service isn't configured.
+export function validateEnvironment(env) {
+  const errors = [];
+  const warnings = [];
+
+  const transport = emailTransport(env);
+  if (!EMAIL_TRANSPORTS.includes(transport)) {
+    errors.push(`EMAIL_TRANSPORT "${transport}" is not one of ${EMAIL_TRANSPORTS.join(", ")}.`);
+  }
+  const schedule = scheduleProvider(env);
+  if (!SCHEDULE_PROVIDERS.includes(schedule)) {
+    errors.push(
+      `SCHEDULE_PROVIDER "${schedule}" is not one of ${SCHEDULE_PROVIDERS.join(", ")}.`
+    );
+  }
+  if (schedule === "local" && !isSet(env.AVAILABILITY_CONFIG)) {
+    errors.push("SCHEDULE_PROVIDER=local needs AVAILABILITY_CONFIG, the file with your hours.");
+  }
+  for (const endpoint of ["CHAT", "WALKTHROUGH"]) {
+    for (const provider of llmChain(env, endpoint)) {
+      if (!LLM_PROVIDERS.includes(provider)) {
+        errors.push(
+          `${endpoint} LLM provider "${provider}" is not one of ${LLM_PROVIDERS.join(", ")}.`
+        );
+      }
+    }
+  }
+  if (isSet(env.LOG_LEVEL) && !LOG_LEVELS.includes(env.LOG_LEVEL)) {
+    errors.push(`LOG_LEVEL "${env.LOG_LEVEL}" is not one of ${LOG_LEVELS.join(", ")}.`);
+  }
+  if (isSet(env.LOG_FORMAT) && !["json", "pretty"].includes(env.LOG_FORMAT)) {
+    errors.push(`LOG_FORMAT "${env.LOG_FORMAT}" is not json or pretty.`);
+  }
+  for (const key of NUMBER_SETTINGS) {
+    if (isSet(env[key]) && !(Number(env[key]) >= 0)) {
+      errors.push(`${key} must be a non-negative number, not "${env[key]}".`);
+    }
+  }
+  for (const key of URL_SETTINGS) {
+    if (isSet(env[key]) && !URL.canParse(env[key])) {
+      errors.push(`${key} must be a URL, not "${env[key]}".`);
+    }
+  }
+  for (const origin of String(env.API_ALLOWED_ORIGINS || "").split(",")) {
+    if (origin.trim() && !URL.canParse(origin.trim())) {
+      errors.push(`API_ALLOWED_ORIGINS entry "${origin.trim()}" is not an origin URL.`);
+    }
+  }
+  for (const key of BOOLEAN_SETTINGS) {
+    if (isSet(env[key]) && !["true", "false"].includes(env[key])) {
+      errors.push(`${key} must be true or false.`);
+    }
+  }
+
+  const services = serviceStatus(env);
+  if (services.openai.required && !services.openai.configured) {
+    warnings.push("OPEN_AI_KEY is not set; OpenAI can't answer chat or walkthrough requests.");
+  }
+  const chains = [...services.llm.chat.providers, ...services.llm.walkthrough.providers];
+  if (chains.includes("local") && !isSet(env.LLM_LOCAL_BASE_URL)) {
+    warnings.push("LLM_LOCAL_BASE_URL is not set; the local LLM provider is skipped.");
+  }
+  if (!services.email.configured) {
+    warnings.push(
+      transport === "smtp"
+        ? "SMTP_URL or SMTP_HOST is not set; emails will fail and be retried."
+        : "RESEND_API_KEY is not set; emails will fail and be retried."
+    );
+  }
+  if (services.calendly.required && !services.calendly.configured) {
+    warnings.push("CALENDLY_API is not set; the booking page falls back to the Calendly embed.");
+  }
+  if (!services.calendly.webhook) {
+    warnings.push("CALENDLY_WEBHOOK_SIGNING_KEY is not set; Calendly webhooks are rejected.");
+  }
+  if (!services.admin.configured) {
+    warnings.push("ADMIN_PASSWORD is not set; /admin is disabled.");
+  }
+  if (!services.metrics.configured) {
+    warnings.push("METRICS_TOKEN is not set; /metrics is disabled.");
+  }
+  return { errors, warnings };
+}
@@ -0,0 +1,317 @@
+import { resolveTimezone, zonedTime } from "./timezones.js";
+
+// Just enough iCalendar (RFC 5545) to read busy times out of an exported calendar and
+// to write a meeting invite. Recurring events are expanded for DAILY and WEEKLY rules,
+// which covers the standing meetings calendars usually export; other frequencies count
+// as their first occurrence only.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RULE_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Long lines are folded onto continuation lines that start with a space or tab.
+function unfold(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n");
+}
+
+// "DTSTART;TZID=America/Chicago:20261019T090000" -> { name, params, value }. Parameter
+// values may be quoted and contain colons, so the split skips quoted text.
+function parseLine(line) {
+  let quoted = false;
+  let split = -1;
+  for (let index = 0; index < line.length; index += 1) {
+    if (line[index] === '"') quoted = !quoted;
+    if (line[index] === ":" && !quoted) {
+      split = index;
+      break;
+    }
+  }
+  if (split < 0) return null;
+
+  const [name, ...rawParams] = line.slice(0, split).split(";");
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+function zoneFor(params, defaultTimezone) {
+  if (!params.TZID) return defaultTimezone;
+  // Outlook exports Windows names such as "Central Standard Time".
+  const resolved = resolveTimezone(params.TZID);
+  return resolved.timezone || defaultTimezone;
+}
+
+// Returns { time, dateKey, minutes, timezone, allDay } for a DATE or DATE-TIME value.
+// UTC values use the UTC zone; floating values use the calendar's default zone.
+function parseDateValue({ params, value }, defaultTimezone) {
+  const match = String(value)
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const dateKey = `${match[1]}-${match[2]}-${match[3]}`;
+  const allDay = params.VALUE === "DATE" || match[4] === undefined;
+  const minutes = allDay ? 0 : Number(match[4]) * 60 + Number(match[5]);
+  const timezone = match[7] ? "UTC" : zoneFor(params, defaultTimezone);
+  const seconds = allDay ? 0 : Number(match[6] || 0);
+  return {
+    time: zonedTime(dateKey, minutes, timezone).getTime() + seconds * 1000,
+    dateKey,
+    minutes,
+    timezone,
+    allDay
+  };
+}
+
+// "PT30M", "P1D", "P1W", "-PT15M" -> milliseconds.
+function parseDuration(value) {
+  const match = String(value || "")
+    .trim()
+    .match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map((part) => part || 0);
+  const ms =
+    (Number(weeks) * 7 + Number(days)) * DAY_MS +
+    ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+function parseRule(value) {
+  const rule = {};
+  for (const part of String(value || "").split(";")) {
+    const [key, rest] = part.split("=");
+    if (key && rest) rule[key.toUpperCase()] = rest.toUpperCase();
+  }
+  return rule;
+}
+
+function addDays(dateKey, days) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function dayNumber(dateKey) {
+  return Math.round(Date.parse(`${dateKey}T00:00:00Z`) / DAY_MS);
+}
+
+// Events with { uid, summary, start, end (ms), allDay, timezone, rule, exdates }.
+// Transparent ("show as free") and cancelled events are left out, since they don't
+// make anyone busy.
+export function parseIcs(text, { timezone = "UTC" } = {}) {
+  const lines = unfold(text);
+  const calendarZone = lines
+    .map(parseLine)
+    .find((line) => line?.name === "X-WR-TIMEZONE")?.value;
+  const defaultTimezone = (calendarZone && resolveTimezone(calendarZone).timezone) || timezone;
+
+  const events = [];
+  let current = null;
+  for (const line of lines) {
+    const property = parseLine(line);
+    if (!property) continue;
+    if (property.name === "BEGIN" && property.value.toUpperCase() === "VEVENT") {
+      current = { exdates: [], properties: {} };
+      continue;
+    }
+    if (!current) continue;
+    if (property.name === "END" && property.value.toUpperCase() === "VEVENT") {
+      events.push(current);
+      current = null;
+    } else if (property.name === "EXDATE") {
+      for (const value of property.value.split(",")) {
+        const date = parseDateValue({ params: property.params, value }, defaultTimezone);
+        if (date) current.exdates.push(date.time);
+      }
+    } else {
+      current.properties[property.name] = property;
+    }
+  }
+
+  const parsed = [];
+  for (const { properties, exdates } of events) {
+    const status = properties.STATUS?.value.toUpperCase();
+    const transparency = properties.TRANSP?.value.toUpperCase();
+    if (status === "CANCELLED" || transparency === "TRANSPARENT" || !properties.DTSTART) {
+      continue;
+    }
+    const start = parseDateValue(properties.DTSTART, defaultTimezone);
+    if (!start) continue;
+
+    let end = properties.DTEND && parseDateValue(properties.DTEND, defaultTimezone)?.time;
+    if (!end && properties.DURATION) {
+      end = start.time + (parseDuration(properties.DURATION.value) || 0);
+    }
+    if (!end) {
+      end = start.allDay ? zonedTime(addDays(start.dateKey, 1), 0, start.timezone).getTime() : 0;
+    }
+    if (!(end > start.time)) continue;
+
+    const recurrenceId =
+      properties["RECURRENCE-ID"] && parseDateValue(properties["RECURRENCE-ID"], defaultTimezone);
+    parsed.push({
+      uid: properties.UID?.value || "",
+      summary: unescapeText(properties.SUMMARY?.value),
+      start: start.time,
+      end,
+      allDay: start.allDay,
+      timezone: start.timezone,
+      dateKey: start.dateKey,
+      minutes: start.minutes,
+      rule: properties.RRULE ? parseRule(properties.RRULE.value) : null,
+      recurrenceId: recurrenceId?.time ?? null,
+      exdates
+    });
+  }
+
+  // A modified occurrence (same UID plus RECURRENCE-ID) replaces the one its series
+  // would have produced.
+  for (const override of parsed.filter((event) => event.recurrenceId !== null)) {
+    const series = parsed.find((event) => event.uid === override.uid && event.rule);
+    series?.exdates.push(override.recurrenceId);
+  }
+  return parsed;
+}
+
+// Occurrences of one event that overlap [from, to), as { start, end } in ms. Each
+// occurrence keeps its wall-clock time in the event's zone, so a 9am weekly meeting
+// stays at 9am across DST changes.
+function occurrences(event, from, to) {
+  const duration = event.end - event.start;
+  if (!event.rule) {
+    return event.start < to && event.end > from ? [{ start: event.start, end: event.end }] : [];
+  }
+
+  const { rule } = event;
+  const frequency = rule.FREQ;
+  if (frequency !== "DAILY" && frequency !== "WEEKLY") {
+    return occurrences({ ...event, rule: null }, from, to);
+  }
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const count = Number(rule.COUNT) || Infinity;
+  const until = rule.UNTIL ? parseDateValue({ params: {}, value: rule.UNTIL }, "UTC") : null;
+  const untilTime = until ? (until.allDay ? until.time + DAY_MS - 1 : until.time) : Infinity;
+  const byDay = rule.BYDAY
+    ? rule.BYDAY.split(",").map((day) => RULE_DAYS.indexOf(day.replace(/^[+-]?\d+/, "")))
+    : frequency === "WEEKLY"
+      ? [new Date(`${event.dateKey}T00:00:00Z`).getUTCDay()]
+      : null;
+  // Weeks are counted from the Monday on or before the first occurrence (WKST=MO).
+  const firstDay = dayNumber(event.dateKey);
+  const firstWeek = Math.floor((firstDay - 4) / 7);
+
+  // Without a COUNT, days long before the range can't matter, so the walk starts a
+  // week ahead of it. The last day checked is the one the range ends on.
+  const firstOffset =
+    count === Infinity ? Math.max(0, Math.floor((from - event.end) / DAY_MS) - 7) : 0;
+  const lastOffset = Math.ceil((Math.min(to, untilTime) - event.start) / DAY_MS) + 1;
+
+  const results = [];
+  let produced = 0;
+  for (let offset = firstOffset; offset <= lastOffset && produced < count; offset += 1) {
+    const dateKey = addDays(event.dateKey, offset);
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    const day = firstDay + offset;
+    const inInterval =
+      frequency === "DAILY"
+        ? offset % interval === 0
+        : (Math.floor((day - 4) / 7) - firstWeek) % interval === 0;
+    if (!inInterval || (byDay && !byDay.includes(weekday))) continue;
+
+    const start = zonedTime(dateKey, event.minutes, event.timezone).getTime();
+    if (start > untilTime || start >= to) break;
+    produced += 1;
+    if (event.exdates.includes(start)) continue;
+    if (start + duration > from) {
+      results.push({ start, end: start + duration });
+    }
+  }
+  return results;
+}
+
+// Busy intervals from parsed events that overlap [from, to), sorted by start.
+export function busyIntervals(events, { from, to }) {
+  return events
+    .flatMap((event) => occurrences(event, from.getTime(), to.getTime()))
+    .sort((a, b) => a.start - b.start);
+}
+
+function unescapeText(value) {
+  return String(value || "").replace(/\\([\\;,nN])/g, (_, character) =>
+    character.toLowerCase() === "n" ? "\n" : character
+  );
+}
+
+function escapeText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function quoteParam(value) {
+  return `"${String(value || "").replace(/"/g, "'")}"`;
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Lines are folded at 75 octets, without splitting a multi-byte character.
+function fold(line) {
+  const chunks = [];
+  let chunk = "";
+  for (const character of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (Buffer.byteLength(chunk + character) > limit) {
+      chunks.push(chunk);
+      chunk = "";
+    }
+    chunk += character;
+  }
+  chunks.push(chunk);
+  return chunks.join("\r\n ");
+}
+
+// A METHOD:REQUEST invite that calendar apps offer to add, for one attendee.
+export function buildInvite({
+  uid,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendee,
+  now = new Date()
+}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Ross Applied AI//Booking//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:REQUEST",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(url ? [`URL:${url}`] : []),
+    `ORGANIZER;CN=${quoteParam(organizer.name)}:mailto:${organizer.email}`,
+    `ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;` +
+      `RSVP=TRUE:mailto:${attendee.email}`,
+    "STATUS:CONFIRMED",
+    "SEQUENCE:0",
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,30 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+export async function appendJsonLine(file, record) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, JSON.stringify(record) + "\n");
+}
+
+export async function readJsonLines(file) {
+  let source;
+  try {
+    source = await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const records = [];
+  for (const line of source.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A torn final line from a crash mid-write is skipped rather than fatal.
+    }
+  }
+  return records;
+}
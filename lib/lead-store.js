@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { appendJsonLine, readJsonLines } from "./jsonl.js";
+
+// Idempotency key for a lead's next notification to a recipient. It only changes
+// after a successful send, so retries of a failed attempt reuse it and the provider
+// drops duplicates, while a deliberate re-send of a delivered email gets a new one.
+export function deliveryKey(lead, recipient) {
+  const sends = lead.delivery?.[recipient]?.sends || 0;
+  return crypto.createHash("sha256").update(`${lead.id}:${recipient}:${sends}`).digest("hex");
+}
+
+// Leads are an append-only JSONL log: one "lead" record per submission followed by
+// "delivery" records for each notification attempt. Reading folds them together, so
+// a crash between writes never loses the submission itself.
+export function createLeadStore({ dataDir, ipSalt }) {
+  const file = path.join(dataDir, "leads.jsonl");
+  let saltPromise;
+
+  function getSalt() {
+    if (ipSalt) {
+      return Promise.resolve(ipSalt);
+    }
+    saltPromise ||= (async () => {
+      const saltFile = path.join(dataDir, "ip-salt");
+      try {
+        return (await fs.readFile(saltFile, "utf8")).trim();
+      } catch (error) {
+        if (error?.code !== "ENOENT") throw error;
+      }
+      const salt = crypto.randomBytes(32).toString("hex");
+      await fs.mkdir(dataDir, { recursive: true });
+      await fs.writeFile(saltFile, salt, { flag: "wx", mode: 0o600 }).catch((error) => {
+        if (error?.code !== "EEXIST") throw error;
+      });
+      return (await fs.readFile(saltFile, "utf8")).trim();
+    })();
+    return saltPromise;
+  }
+
+  async function hashIp(ip) {
+    return crypto.createHmac("sha256", await getSalt()).update(String(ip)).digest("hex");
+  }
+
+  async function list() {
+    const leads = new Map();
+    for (const record of await readJsonLines(file)) {
+      if (record.type === "lead") {
+        leads.set(record.id, { ...record, delivery: record.delivery || {} });
+      } else if (record.type === "delivery" && leads.has(record.leadId)) {
+        const lead = leads.get(record.leadId);
+        const previous = lead.delivery[record.recipient] || { attempts: 0 };
+        const sent = record.status === "sent";
+        lead.delivery[record.recipient] = {
+          status: record.status,
+          error: record.error || "",
+          attempts: previous.attempts + 1,
+          failures: sent ? 0 : (previous.failures || 0) + 1,
+          sends: (previous.sends || 0) + (sent ? 1 : 0),
+          lastAttemptAt: record.at,
+          nextAttemptAt: record.nextAttemptAt || "",
+          sentAt: sent ? record.at : previous.sentAt
+        };
+      }
+    }
+    return Array.from(leads.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async function get(id) {
+    return (await list()).find((lead) => lead.id === id) || null;
+  }
+
+  async function recordDelivery(leadId, recipient, { status, error = "", nextAttemptAt = "" }) {
+    await appendJsonLine(file, {
+      type: "delivery",
+      leadId,
+      recipient,
+      status,
+      error,
+      ...(nextAttemptAt ? { nextAttemptAt } : {}),
+      at: new Date().toISOString()
+    });
+  }
+
+  return {
+    file,
+    list,
+    get,
+    recordDelivery,
+
+    // `id` may be chosen up front, so records that refer to the lead (a report link)
+    // can be written into its notifications.
+    async create({ id = crypto.randomUUID(), kind, ip, email, answers, report, notifications }) {
+      const lead = {
+        type: "lead",
+        id,
+        kind,
+        createdAt: new Date().toISOString(),
+        ipHash: await hashIp(ip),
+        email: email || "",
+        answers,
+        report,
+        notifications,
+        delivery: Object.fromEntries(
+          Object.keys(notifications)
+            .filter((recipient) => notifications[recipient])
+            .map((recipient) => [recipient, { status: "pending", error: "", attempts: 0 }])
+        )
+      };
+      await appendJsonLine(file, lead);
+      return lead;
+    },
+
+    async resend(leadId, recipient, send) {
+      const lead = await get(leadId);
+      if (!lead) {
+        throw new Error("Lead not found.");
+      }
+      const notification = lead.notifications?.[recipient];
+      if (!notification) {
+        throw new Error(`Lead has no ${recipient} notification.`);
+      }
+
+      try {
+        await send({ ...notification, idempotencyKey: deliveryKey(lead, recipient) });
+      } catch (error) {
+        await recordDelivery(leadId, recipient, {
+          status: "failed",
+          error: error?.message || "Send failed."
+        });
+        throw error;
+      }
+      await recordDelivery(leadId, recipient, { status: "sent" });
+    }
+  };
+}
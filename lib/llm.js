@@ -0,0 +1,268 @@
+import OpenAI from "openai";
+import { log } from "./logger.js";
+
+// Messages are plain { role, content } pairs with string content. Each provider turns
+// them into its own request shape, so callers never touch an SDK directly.
+
+function lastUserMessage(messages) {
+  return messages.findLast((message) => message.role === "user")?.content || "";
+}
+
+function createOpenAiProvider({ apiKey, baseURL, model }) {
+  const client = apiKey ? new OpenAI({ apiKey, baseURL, maxRetries: 1 }) : null;
+
+  return {
+    name: "openai",
+    available: Boolean(client),
+    defaultModel: model,
+
+    async complete({ model, messages, format, signal }) {
+      const response = await client.responses.create(
+        {
+          model,
+          input: messages,
+          ...(format === "json" ? { text: { format: { type: "json_object" } } } : {})
+        },
+        { signal }
+      );
+      return response.output_text || "";
+    },
+
+    async *stream({ model, messages, signal }) {
+      const stream = await client.responses.create(
+        { model, input: messages, stream: true },
+        { signal }
+      );
+      for await (const event of stream) {
+        if (event.type === "response.output_text.delta") {
+          yield event.delta;
+        } else if (event.type === "response.failed" || event.type === "error") {
+          throw new Error(event.response?.error?.message || event.message || "Stream failed.");
+        }
+      }
+    }
+  };
+}
+
+// Ollama, llama.cpp, vLLM, LM Studio and similar servers all expose the Chat
+// Completions endpoint, so this talks to any of them given a base URL.
+function createCompatibleProvider({ baseURL, apiKey, model }) {
+  const client = baseURL
+    ? new OpenAI({ baseURL, apiKey: apiKey || "local", maxRetries: 0 })
+    : null;
+
+  return {
+    name: "local",
+    available: Boolean(client && model),
+    defaultModel: model,
+
+    async complete({ model, messages, format, signal }) {
+      const response = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          ...(format === "json" ? { response_format: { type: "json_object" } } : {})
+        },
+        { signal }
+      );
+      return response.choices?.[0]?.message?.content || "";
+    },
+
+    async *stream({ model, messages, signal }) {
+      const stream = await client.chat.completions.create(
+        { model, messages, stream: true },
+        { signal }
+      );
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          yield delta;
+        }
+      }
+    }
+  };
+}
+
+// Deterministic stand-in for development and tests: the same input always produces
+// the same reply, and nothing leaves the machine. JSON requests get an empty object,
+// which callers treat like any other unusable model output.
+function createMockProvider({ reply }) {
+  function respond(messages, format) {
+    if (format === "json") {
+      return "{}";
+    }
+    return reply || `Mock reply to: ${lastUserMessage(messages).slice(0, 200)}`;
+  }
+
+  return {
+    name: "mock",
+    available: true,
+    defaultModel: "mock",
+
+    async complete({ messages, format }) {
+      return respond(messages, format);
+    },
+
+    async *stream({ messages, signal }) {
+      for (const word of respond(messages).match(/\S+\s*/g) || []) {
+        signal?.throwIfAborted();
+        yield word;
+      }
+    }
+  };
+}
+
+export function createLlmProviders(env) {
+  return {
+    openai: createOpenAiProvider({
+      apiKey: env.OPEN_AI_KEY,
+      baseURL: env.OPENAI_BASE_URL || undefined,
+      model: env.OPENAI_MODEL || "gpt-5-mini"
+    }),
+    local: createCompatibleProvider({
+      baseURL: env.LLM_LOCAL_BASE_URL,
+      apiKey: env.LLM_LOCAL_API_KEY,
+      model: env.LLM_LOCAL_MODEL
+    }),
+    mock: createMockProvider({ reply: env.LLM_MOCK_REPLY })
+  };
+}
+
+// Reads an endpoint's provider order and timeout, e.g. CHAT_LLM_PROVIDERS=local,openai
+// or WALKTHROUGH_LLM_PROVIDERS=openai:gpt-5,mock. Entries are "provider" or
+// "provider:model"; endpoints without their own setting use LLM_PROVIDERS.
+export function llmSettings(env, endpoint) {
+  const chain = (env[`${endpoint}_LLM_PROVIDERS`] || env.LLM_PROVIDERS || "openai")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [provider, ...model] = entry.split(":");
+      return { provider: provider.toLowerCase(), model: model.join(":") };
+    });
+  const timeoutMs = Number(env[`${endpoint}_LLM_TIMEOUT_MS`] || env.LLM_TIMEOUT_MS || 30000);
+  return { chain, timeoutMs };
+}
+
+// `onAttempt` is told about every provider call as { provider, model, position,
+// outcome, durationMs }, where position 0 is the first provider in the chain and
+// outcome is "ok", "empty", "timeout" or "error".
+export function createLlmClient(providers, { chain, timeoutMs, onAttempt = () => {} }) {
+  for (const { provider } of chain) {
+    if (!providers[provider]) {
+      throw new Error(
+        `Unknown LLM provider "${provider}". Use one of: ${Object.keys(providers).join(", ")}.`
+      );
+    }
+  }
+
+  const candidates = chain
+    .filter(({ provider }) => providers[provider].available)
+    .map(({ provider, model }) => ({
+      provider: providers[provider],
+      model: model || providers[provider].defaultModel
+    }));
+
+  function withTimeout(signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(new Error(`LLM request timed out after ${timeoutMs} ms.`)),
+      timeoutMs
+    );
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    return {
+      signal: controller.signal,
+      restart() {
+        timer.refresh();
+      },
+      done() {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+      }
+    };
+  }
+
+  function report(candidate, position, started, outcome) {
+    onAttempt({
+      provider: candidate.provider.name,
+      model: candidate.model,
+      position,
+      outcome,
+      durationMs: Date.now() - started
+    });
+  }
+
+  function noProvider() {
+    return new Error(
+      `No LLM provider is configured (tried ${chain.map(({ provider }) => provider).join(", ")}).`
+    );
+  }
+
+  return {
+    available: candidates.length > 0,
+    describe: () => candidates.map(({ provider, model }) => `${provider.name}:${model}`),
+
+    // Tries each provider in order and returns the first non-empty reply as
+    // { text, provider, model }. A caller abort stops the chain immediately.
+    async complete({ messages, format, signal }) {
+      let lastError = noProvider();
+      for (const [position, candidate] of candidates.entries()) {
+        const { provider, model } = candidate;
+        const timeout = withTimeout(signal);
+        const started = Date.now();
+        try {
+          const text = (
+            await provider.complete({ model, messages, format, signal: timeout.signal })
+          ).trim();
+          report(candidate, position, started, text ? "ok" : "empty");
+          if (text) {
+            return { text, provider: provider.name, model };
+          }
+          lastError = new Error(`Empty response from ${provider.name}.`);
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          lastError = timeout.signal.aborted ? timeout.signal.reason : error;
+          report(candidate, position, started, timeout.signal.aborted ? "timeout" : "error");
+          log.warn("LLM provider failed", { provider: provider.name, model, error: lastError });
+        } finally {
+          timeout.done();
+        }
+      }
+      throw lastError;
+    },
+
+    // Yields text deltas. The timeout applies to the gap between deltas, and a
+    // provider is only abandoned for the next one if it fails before yielding
+    // anything, since text already sent to the client cannot be taken back.
+    async *stream({ messages, signal }) {
+      let lastError = noProvider();
+      for (const [position, candidate] of candidates.entries()) {
+        const { provider, model } = candidate;
+        const timeout = withTimeout(signal);
+        const startedAt = Date.now();
+        let started = false;
+        try {
+          for await (const delta of provider.stream({ model, messages, signal: timeout.signal })) {
+            started = true;
+            timeout.restart();
+            yield delta;
+          }
+          report(candidate, position, startedAt, started ? "ok" : "empty");
+          if (started) return;
+          lastError = new Error(`Empty response from ${provider.name}.`);
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          const reason = timeout.signal.aborted ? timeout.signal.reason : error;
+          report(candidate, position, startedAt, timeout.signal.aborted ? "timeout" : "error");
+          if (started) throw reason;
+          lastError = reason;
+          log.warn("LLM provider failed", { provider: provider.name, model, error: lastError });
+        } finally {
+          timeout.done();
+        }
+      }
+      throw lastError;
+    }
+  };
+}
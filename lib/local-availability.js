@@ -0,0 +1,368 @@
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { busyIntervals, parseIcs } from "./ics.js";
+import { localParts, resolveTimezone, zonedTime } from "./timezones.js";
+
+// Availability and booking without Calendly. Open times come from a JSON config of
+// weekly hours, buffers and blackout dates, minus busy times from .ics calendars and
+// calls already booked. It answers the same calls as the Calendly client the schedule
+// routes use (introEventType, eventType, availableTimes, createInvitee), with the same
+// error shape, so the routes don't care which one they talk to.
+
+export const LOCAL_EVENT_TYPE_URI = "local:intro";
+
+const ERROR_STATUS = {
+  unavailable: 502,
+  not_found: 404,
+  rejected: 409
+};
+
+const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+export const DEFAULT_AVAILABILITY = {
+  timezone: "America/Chicago",
+  eventName: "30 Minute Intro Call",
+  location: "",
+  durationMinutes: 30,
+  slotIntervalMinutes: 30,
+  bufferBeforeMinutes: 0,
+  bufferAfterMinutes: 15,
+  minNoticeHours: 12,
+  maxDaysAhead: 60,
+  weeklyHours: {
+    mon: [["09:00", "17:00"]],
+    tue: [["09:00", "17:00"]],
+    wed: [["09:00", "17:00"]],
+    thu: [["09:00", "17:00"]],
+    fri: [["09:00", "17:00"]]
+  },
+  blackoutDates: [],
+  busyCalendars: [],
+  busyCacheMinutes: 10,
+  maxActiveBookingsPerEmail: 2
+};
+
+function availabilityError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, status: ERROR_STATUS[code], ...details });
+}
+
+function parseClock(value) {
+  const match = String(value || "").match(/^(\d{1,2}):(\d{2})$/);
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  return minutes >= 0 && minutes <= 24 * 60 && Number(match[2]) < 60 ? minutes : NaN;
+}
+
+function isDateKey(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || "")) && !Number.isNaN(Date.parse(value));
+}
+
+// Merges a config over the defaults and checks it, so a typo fails loudly instead of
+// quietly opening or closing the calendar. Hours become [startMinute, endMinute].
+export function normalizeAvailability(config = {}) {
+  const merged = { ...DEFAULT_AVAILABILITY, ...config };
+  const problems = [];
+  const numbers = {};
+
+  const zone = resolveTimezone(merged.timezone);
+  if (zone.error) problems.push(`timezone: ${zone.error}`);
+
+  for (const key of [
+    "durationMinutes",
+    "slotIntervalMinutes",
+    "bufferBeforeMinutes",
+    "bufferAfterMinutes",
+    "minNoticeHours",
+    "maxDaysAhead",
+    "busyCacheMinutes",
+    "maxActiveBookingsPerEmail"
+  ]) {
+    const value = Number(merged[key]);
+    const positive = key === "durationMinutes" || key === "slotIntervalMinutes";
+    if (!Number.isFinite(value) || value < 0 || (positive && value === 0)) {
+      problems.push(`${key} must be a ${positive ? "positive" : "non-negative"} number.`);
+    }
+    numbers[key] = value;
+  }
+
+  const weeklyHours = {};
+  for (const [day, ranges] of Object.entries(merged.weeklyHours || {})) {
+    const weekday = WEEKDAY_KEYS.indexOf(day.slice(0, 3).toLowerCase());
+    if (weekday < 0 || !Array.isArray(ranges)) {
+      problems.push(`weeklyHours.${day} is not a weekday with a list of ["HH:MM", "HH:MM"].`);
+      continue;
+    }
+    weeklyHours[weekday] = ranges.map((range) => {
+      const [start, end] = (Array.isArray(range) ? range : []).map(parseClock);
+      if (!(start < end)) {
+        problems.push(`weeklyHours.${day} has an invalid range ${JSON.stringify(range)}.`);
+      }
+      return [start, end];
+    });
+  }
+
+  const blackoutDates = (merged.blackoutDates || []).map((entry) => {
+    const range = typeof entry === "string" ? { from: entry, to: entry } : entry || {};
+    if (!isDateKey(range.from) || !isDateKey(range.to || range.from)) {
+      problems.push(`blackoutDates has an invalid entry ${JSON.stringify(entry)}.`);
+    }
+    return { from: range.from, to: range.to || range.from };
+  });
+
+  if (!Array.isArray(merged.busyCalendars)) {
+    problems.push("busyCalendars must be a list of .ics file paths or URLs.");
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid availability config: ${problems.join(" ")}`);
+  }
+  return { ...merged, ...numbers, timezone: zone.timezone, weeklyHours, blackoutDates };
+}
+
+// `configFile` is read on each request, so edits apply without a restart. A missing
+// file fails every request rather than offering the default hours as if they were
+// real. Relative calendar paths are resolved against `dataDir`.
+export function createLocalAvailability({
+  configFile,
+  dataDir,
+  bookings,
+  leadIdsFor = async () => [],
+  timeoutMs = 10000,
+  fetch = globalThis.fetch
+}) {
+  const calendarCache = new Map();
+  let bookingLock = Promise.resolve();
+
+  async function loadConfig() {
+    let source;
+    try {
+      source = await fs.readFile(configFile, "utf8");
+    } catch (error) {
+      throw availabilityError("unavailable", "Scheduling is not available right now.", {
+        detail: `Availability config ${configFile}: ${error?.message || error}`
+      });
+    }
+    return normalizeAvailability(JSON.parse(source));
+  }
+
+  async function readCalendar(location) {
+    if (!/^https?:\/\//i.test(location)) {
+      return fs.readFile(path.resolve(dataDir, location), "utf8");
+    }
+    const response = await fetch(location, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`${location} returned ${response.status}.`);
+    }
+    return response.text();
+  }
+
+  // Parsed calendars are cached like Calendly lookups: the promise is shared and a
+  // failed load is dropped. An unreadable calendar fails the request rather than
+  // offering times that might already be taken.
+  function loadCalendar(location, config) {
+    const entry = calendarCache.get(location);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+    const value = readCalendar(location)
+      .then((text) => parseIcs(text, { timezone: config.timezone }))
+      .catch((error) => {
+        calendarCache.delete(location);
+        throw availabilityError("unavailable", "Scheduling is not available right now.", {
+          detail: `Busy calendar ${location}: ${error?.message || error}`
+        });
+      });
+    calendarCache.set(location, {
+      value,
+      expiresAt: Date.now() + config.busyCacheMinutes * 60000
+    });
+    return value;
+  }
+
+  async function busyTimes(config, from, to) {
+    const calendars = await Promise.all(
+      config.busyCalendars.map((location) => loadCalendar(location, config))
+    );
+    const booked = (await bookings.list())
+      .filter((booking) => booking.status === "active" && booking.startTime && booking.endTime)
+      .map((booking) => ({
+        start: Date.parse(booking.startTime),
+        end: Date.parse(booking.endTime)
+      }));
+    return [...calendars.flatMap((events) => busyIntervals(events, { from, to })), ...booked];
+  }
+
+  function eventType(config) {
+    return {
+      uri: LOCAL_EVENT_TYPE_URI,
+      name: config.eventName,
+      active: true,
+      duration: config.durationMinutes,
+      location: config.location ? { kind: "custom", location: config.location } : undefined,
+      // Calendly's default question, so the confirm route answers both the same way.
+      custom_questions: [
+        {
+          name: "Please share anything that will help prepare for our meeting.",
+          type: "text",
+          position: 0,
+          enabled: true,
+          required: false
+        }
+      ]
+    };
+  }
+
+  function checkEventType(uri) {
+    if (uri !== LOCAL_EVENT_TYPE_URI) {
+      throw availabilityError("not_found", "That event type no longer exists.");
+    }
+  }
+
+  async function availableTimes(config, { start, end }) {
+    const now = Date.now();
+    const from = Math.max(start.getTime(), now + config.minNoticeHours * 60 * 60 * 1000);
+    const to = Math.min(end.getTime(), now + config.maxDaysAhead * 24 * 60 * 60 * 1000);
+    if (from >= to) return [];
+
+    const durationMs = config.durationMinutes * 60000;
+    const before = config.bufferBeforeMinutes * 60000;
+    const after = config.bufferAfterMinutes * 60000;
+    const busy = await busyTimes(
+      config,
+      new Date(from - before - durationMs),
+      new Date(to + durationMs + after)
+    );
+
+    const slots = [];
+    const lastDay = localParts(new Date(to), config.timezone).dateKey;
+    let dateKey = localParts(new Date(from), config.timezone).dateKey;
+    while (dateKey <= lastDay) {
+      const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+      const blackedOut = config.blackoutDates.some(
+        (range) => dateKey >= range.from && dateKey <= range.to
+      );
+      for (const [open, close] of blackedOut ? [] : config.weeklyHours[weekday] || []) {
+        for (
+          let minute = open;
+          minute + config.durationMinutes <= close;
+          minute += config.slotIntervalMinutes
+        ) {
+          const slotStart = zonedTime(dateKey, minute, config.timezone).getTime();
+          const slotEnd = slotStart + durationMs;
+          if (slotStart < from || slotStart >= to) continue;
+          const taken = busy.some(
+            (interval) => interval.start < slotEnd + after && interval.end > slotStart - before
+          );
+          if (!taken) {
+            slots.push({
+              status: "available",
+              invitees_remaining: 1,
+              start_time: new Date(slotStart).toISOString(),
+              end_time: new Date(slotEnd).toISOString()
+            });
+          }
+        }
+      }
+      dateKey = new Date(Date.parse(`${dateKey}T00:00:00Z`) + 24 * 60 * 60 * 1000)
+        .toISOString()
+        .slice(0, 10);
+    }
+    return slots;
+  }
+
+  // Bookings run one at a time and re-check the time first, so two visitors picking
+  // the same slot can't both get it.
+  function withBookingLock(task) {
+    const run = bookingLock.then(task, task);
+    bookingLock = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    loadConfig,
+
+    async introEventType() {
+      return eventType(await loadConfig());
+    },
+
+    async eventType(uri) {
+      checkEventType(uri);
+      return eventType(await loadConfig());
+    },
+
+    async availableTimes(eventTypeUri, range) {
+      checkEventType(eventTypeUri);
+      return availableTimes(await loadConfig(), range);
+    },
+
+    // Takes the same payload as Calendly's POST /invitees and returns a resource of the
+    // same shape, after recording the booking in the booking store.
+    async createInvitee(payload) {
+      checkEventType(payload?.event_type);
+      const time = Date.parse(payload?.start_time);
+      const { name, email, timezone } = payload?.invitee || {};
+      const questionsAndAnswers = payload?.questions_and_answers || [];
+      if (Number.isNaN(time)) {
+        throw availabilityError("rejected", "The selected time is not valid.");
+      }
+
+      return withBookingLock(async () => {
+        const config = await loadConfig();
+        const open = await availableTimes(config, {
+          start: new Date(time),
+          end: new Date(time + 60000)
+        });
+        if (!open.some((slot) => Date.parse(slot.start_time) === time)) {
+          throw availabilityError("rejected", "The selected time is no longer available.");
+        }
+        const upcoming = (await bookings.list()).filter(
+          (booking) =>
+            booking.status === "active" &&
+            booking.email === String(email || "").toLowerCase() &&
+            Date.parse(booking.endTime) > Date.now()
+        );
+        if (upcoming.length >= config.maxActiveBookingsPerEmail) {
+          throw availabilityError(
+            "rejected",
+            "This email already has calls booked. Reply to an invite to change the time."
+          );
+        }
+
+        const id = crypto.randomUUID();
+        const scheduledEvent = {
+          uri: `local:events/${id}`,
+          name: config.eventName,
+          start_time: new Date(time).toISOString(),
+          end_time: new Date(time + config.durationMinutes * 60000).toISOString(),
+          location: config.location
+        };
+        const resource = {
+          uri: `local:invitees/${id}`,
+          event: scheduledEvent.uri,
+          name,
+          email,
+          timezone,
+          status: "active",
+          questions_and_answers: questionsAndAnswers,
+          scheduled_event: scheduledEvent
+        };
+        await bookings.recordBooking(`invitee.created:${resource.uri}`, {
+          source: "local",
+          inviteeUri: resource.uri,
+          eventUri: scheduledEvent.uri,
+          email: String(email || "").toLowerCase(),
+          name,
+          timezone,
+          startTime: scheduledEvent.start_time,
+          endTime: scheduledEvent.end_time,
+          eventName: scheduledEvent.name,
+          rescheduleUrl: "",
+          cancelUrl: "",
+          questionsAndAnswers,
+          leadIds: await leadIdsFor(email)
+        });
+        return resource;
+      });
+    }
+  };
+}
@@ -0,0 +1,75 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Structured logs: one JSON object per line, { time, level, msg, ...fields }, with
+// warnings and errors on stderr. Fields set by withLogContext (the request ID, for
+// one) are added to every line logged while that context is active, including lines
+// from helpers and library code that never see the request.
+//   LOG_LEVEL   debug, info (default), warn or error
+//   LOG_FORMAT  json (default) or pretty, "level msg key=value" for reading locally
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const context = new AsyncLocalStorage();
+
+export function withLogContext(fields, callback) {
+  return context.run({ ...context.getStore(), ...fields }, callback);
+}
+
+export function logContext() {
+  return context.getStore() || {};
+}
+
+// Errors become their message (and code), since stacks for expected failures such as
+// a provider timeout would bury everything else. LOG_LEVEL=debug keeps the stack.
+function serialize(value, debug) {
+  if (value instanceof Error) {
+    return {
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      ...(debug && value.stack ? { stack: value.stack } : {})
+    };
+  }
+  return value;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields).map(
+    ([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`
+  );
+  return [time, level.toUpperCase().padEnd(5), msg, ...details].join(" ");
+}
+
+export function createLogger({ fields = {}, level, format, write } = {}) {
+  function emit(entryLevel, msg, extra = {}) {
+    const threshold = LEVELS[level || process.env.LOG_LEVEL] || LEVELS.info;
+    if (LEVELS[entryLevel] < threshold) return;
+
+    const debug = threshold <= LEVELS.debug;
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields };
+    for (const [key, value] of Object.entries({ ...logContext(), ...extra })) {
+      if (value !== undefined) entry[key] = serialize(value, debug);
+    }
+    const line =
+      (format || process.env.LOG_FORMAT) === "pretty"
+        ? formatPretty(entry)
+        : JSON.stringify(entry);
+    if (write) {
+      write(line, entryLevel);
+    } else if (LEVELS[entryLevel] >= LEVELS.warn) {
+      process.stderr.write(line + "\n");
+    } else {
+      process.stdout.write(line + "\n");
+    }
+  }
+
+  return {
+    debug: (msg, extra) => emit("debug", msg, extra),
+    info: (msg, extra) => emit("info", msg, extra),
+    warn: (msg, extra) => emit("warn", msg, extra),
+    error: (msg, extra) => emit("error", msg, extra),
+    child: (childFields) =>
+      createLogger({ fields: { ...fields, ...childFields }, level, format, write })
+  };
+}
+
+export const log = createLogger();
@@ -0,0 +1,116 @@
+// In-process metrics in the Prometheus text format (version 0.0.4). Counters and
+// histograms are keyed by their label values; gauges are read when /metrics is
+// scraped. Everything resets on restart, which Prometheus handles for counters.
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  return entries.length
+    ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`
+    : "";
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+export function createMetrics() {
+  const families = [];
+
+  function register(name, help, type, extra = {}) {
+    if (families.some((family) => family.name === name)) {
+      throw new Error(`Metric "${name}" is already registered.`);
+    }
+    const family = { name, help, type, series: new Map(), ...extra };
+    families.push(family);
+    return family;
+  }
+
+  // Series are stored under their sorted label text, so { a, b } and { b, a } match.
+  function series(family, labels, create) {
+    const sorted = Object.fromEntries(
+      Object.entries(labels).sort(([a], [b]) => a.localeCompare(b))
+    );
+    const key = labelText(sorted);
+    if (!family.series.has(key)) {
+      family.series.set(key, { labels: sorted, ...create() });
+    }
+    return family.series.get(key);
+  }
+
+  function renderFamily(family) {
+    const lines = [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`];
+    if (family.type === "gauge") {
+      const value = family.collect();
+      const samples = typeof value === "number" ? [{ labels: {}, value }] : value;
+      for (const sample of samples) {
+        lines.push(`${family.name}${labelText(sample.labels)} ${formatNumber(sample.value)}`);
+      }
+    } else if (family.type === "counter") {
+      for (const { labels, value } of family.series.values()) {
+        lines.push(`${family.name}${labelText(labels)} ${formatNumber(value)}`);
+      }
+    } else {
+      for (const { labels, counts, sum, count } of family.series.values()) {
+        family.buckets.forEach((bound, index) => {
+          const bucketLabels = labelText({ ...labels, le: formatNumber(bound) });
+          lines.push(`${family.name}_bucket${bucketLabels} ${counts[index]}`);
+        });
+        lines.push(`${family.name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${family.name}_sum${labelText(labels)} ${sum}`);
+        lines.push(`${family.name}_count${labelText(labels)} ${count}`);
+      }
+    }
+    return lines.join("\n");
+  }
+
+  return {
+    counter(name, help) {
+      const family = register(name, help, "counter");
+      return {
+        inc(labels = {}, amount = 1) {
+          series(family, labels, () => ({ value: 0 })).value += amount;
+        }
+      };
+    },
+
+    // Bucket counts are cumulative, as the format expects: an observation is counted
+    // in every bucket whose upper bound it fits under.
+    histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+      const sorted = [...buckets].sort((a, b) => a - b);
+      const family = register(name, help, "histogram", { buckets: sorted });
+      return {
+        observe(labels, value) {
+          const entry = series(family, labels, () => ({
+            counts: sorted.map(() => 0),
+            sum: 0,
+            count: 0
+          }));
+          sorted.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index] += 1;
+          });
+          entry.sum += value;
+          entry.count += 1;
+        }
+      };
+    },
+
+    // `collect` returns a number, or [{ labels, value }] for several series.
+    gauge(name, help, collect) {
+      register(name, help, "gauge", { collect });
+    },
+
+    render() {
+      return families.map(renderFamily).join("\n") + "\n";
+    }
+  };
+}
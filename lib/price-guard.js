@@ -0,0 +1,159 @@
+import { absoluteUrl, findService, prices, publishedPrices, services } from "./catalog.js";
+
+export const UNPUBLISHED_PRICE_NOTICE =
+  `Pricing for that isn't published. See ${absoluteUrl("/services/")} ` +
+  `or book a free intro call at ${absoluteUrl("/book-call/")}.`;
+
+const CURRENCY_PATTERN =
+  /(?:\$|\bUSD\s?)\s?(\d+(?:,\d{3})*(?:\.\d+)?)\s*(k|thousand)?(\+)?(?:\s*(?:\/|per|a)\s*(month|mo|year|yr|hour|hr|week|wk)\b)?|\b(\d+(?:,\d{3})*(?:\.\d+)?)\s*(k|thousand)?\s*(?:dollars|USD)\b/gi;
+const SERVICE_NAME_PATTERN =
+  /\b(?:[A-Z][\w&-]*\s+){1,4}(?:[Pp]ackage|[Pp]lan|[Tt]ier|[Ss]print|[Bb]undle|[Pp]rogram|[Ss]ubscription|[Rr]etainer)s?\b/g;
+const PERCENT_PATTERN = /\b(\d{1,2}(?:\.\d+)?)\s?(?:%|percent\b)/gi;
+const LEADING_WORDS = new Set(["the", "our", "a", "an", "your", "this", "that", "each", "every", "any", "its"]);
+const PERIODS = { mo: "month", yr: "year", hr: "hour", wk: "week" };
+
+function normalizeAmount(digits, multiplier) {
+  const value = Number(String(digits).replaceAll(",", ""));
+  return multiplier ? value * 1000 : value;
+}
+
+export function findCurrencyAmounts(text) {
+  return Array.from(String(text || "").matchAll(CURRENCY_PATTERN), (match) => {
+    const period = match[4]?.toLowerCase();
+    return {
+      raw: match[0].trim(),
+      amount: normalizeAmount(match[1] ?? match[5], match[2] ?? match[6]),
+      per: period ? PERIODS[period] || period : null
+    };
+  });
+}
+
+// A share of a published price that the sentence states as a percentage, such as
+// "50% ($250)" of the $500 pilot, is as published as the price itself.
+function derivedPrices(sentence, published) {
+  const percents = Array.from(sentence.matchAll(PERCENT_PATTERN), (match) => Number(match[1]));
+  return published.flatMap((price) =>
+    percents
+      .filter((percent) => percent > 0)
+      .map((percent) => ({ ...price, amount: Math.round(price.amount * percent) / 100 }))
+  );
+}
+
+function mentionedPrices(sentence) {
+  const lower = sentence.toLowerCase();
+  return prices.filter(
+    (price) =>
+      lower.includes(findService(price.service).name.toLowerCase()) ||
+      price.keywords.some((keyword) => lower.includes(keyword))
+  );
+}
+
+function knownServicePhrase(phrase) {
+  const lower = phrase.toLowerCase().replace(/s$/, "");
+  return (
+    services.some((service) => service.name.toLowerCase().endsWith(lower)) ||
+    prices.some((price) => {
+      const label = price.label.toLowerCase();
+      return ["package", "plan", "tier", "retainer"].some(
+        (suffix) => lower === `${label} ${suffix}`
+      );
+    })
+  );
+}
+
+function findServiceNames(sentence) {
+  return Array.from(sentence.matchAll(SERVICE_NAME_PATTERN), (match) => {
+    const words = match[0].split(/\s+/);
+    while (words.length > 1 && LEADING_WORDS.has(words[0].toLowerCase())) {
+      words.shift();
+    }
+    return words.length > 1 ? words.join(" ") : "";
+  }).filter(Boolean);
+}
+
+export function checkSentence(sentence) {
+  const violations = [];
+  const published = publishedPrices();
+  const allowed = [...published, ...derivedPrices(sentence, published)];
+  const mentioned = mentionedPrices(sentence).map((price) => price.id);
+
+  for (const found of findCurrencyAmounts(sentence)) {
+    const matches = allowed.filter(
+      (price) => price.amount === found.amount && (!found.per || found.per === price.per)
+    );
+    if (matches.length === 0) {
+      violations.push({ type: "unpublished_price", value: found.raw });
+    } else if (mentioned.length && !matches.some((price) => mentioned.includes(price.id))) {
+      violations.push({
+        type: "misattributed_price",
+        value: found.raw,
+        mentioned
+      });
+    }
+  }
+
+  for (const name of findServiceNames(sentence)) {
+    if (!knownServicePhrase(name)) {
+      violations.push({ type: "unknown_service", value: name });
+    }
+  }
+
+  return violations;
+}
+
+// Splits on sentence terminators followed by whitespace and on newlines, keeping
+// separators attached so the segments join back into the original text. Decimal
+// points and URLs stay inside their sentence.
+export function splitSentences(text) {
+  return (
+    String(text || "").match(/[^.!?\n]*(?:[.!?](?!\s|$)[^.!?\n]*)*(?:[.!?]+|\n|$)[ \t]*\n*/g) || []
+  ).filter(Boolean);
+}
+
+// Releases reply text one complete sentence at a time, dropping sentences that
+// quote an unpublished price or an unknown service name.
+export function createReplyGuard() {
+  let pending = "";
+  let released = "";
+  const violations = [];
+
+  function release(sentence) {
+    const found = checkSentence(sentence);
+    if (found.length) {
+      violations.push(...found.map((violation) => ({ ...violation, sentence: sentence.trim() })));
+      return "";
+    }
+    released += sentence;
+    return sentence;
+  }
+
+  return {
+    push(delta) {
+      pending += delta;
+      const segments = splitSentences(pending);
+      const last = segments.at(-1) || "";
+      const complete = /(?:[.!?]\s+|\n)$/.test(last) ? segments : segments.slice(0, -1);
+      pending = complete.length === segments.length ? "" : last;
+      return complete.map(release).join("");
+    },
+
+    finish() {
+      let text = pending ? release(pending) : "";
+      pending = "";
+      if (violations.length) {
+        const notice = (released.trim() ? "\n\n" : "") + UNPUBLISHED_PRICE_NOTICE;
+        released = released.trimEnd();
+        released += notice;
+        text += notice;
+      }
+      return { text, reply: released.trim(), violations };
+    }
+  };
+}
+
+export function guardReply(text) {
+  const guard = createReplyGuard();
+  guard.push(text);
+  const { reply, violations } = guard.finish();
+  return { reply, violations };
+}
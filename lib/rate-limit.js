@@ -0,0 +1,132 @@
+// Sliding-window rate limiting: each policy counts requests in fixed windows and
+// weights the previous window by how much of it still overlaps the sliding one, which
+// smooths out the burst a plain fixed window allows at every boundary.
+//
+// A store needs three async methods, each of which a shared backend such as Redis can
+// implement atomically (GET, INCR + PEXPIRE and DECR):
+//   get(key)              current count for key, 0 if unknown or expired
+//   increment(key, ttlMs) add one, keep the key for ttlMs, return the new count
+//   decrement(key)        take one away again, for a request that was turned down
+
+export function createMemoryRateLimitStore({ maxKeys = 10000, sweepMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+  let nextSweep = 0;
+
+  function sweep(now) {
+    if (now < nextSweep && entries.size <= maxKeys) return;
+    nextSweep = now + sweepMs;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+    // Map iteration follows insertion order, so this drops the oldest windows first.
+    for (const key of entries.keys()) {
+      if (entries.size <= maxKeys) break;
+      entries.delete(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      return entry && entry.expiresAt > Date.now() ? entry.count : 0;
+    },
+
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      sweep(now);
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt > now) {
+        entry.count += 1;
+        return entry.count;
+      }
+      entries.set(key, { count: 1, expiresAt: now + ttlMs });
+      return 1;
+    },
+
+    async decrement(key) {
+      const entry = entries.get(key);
+      if (entry && entry.count > 0) {
+        entry.count -= 1;
+      }
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+// Milliseconds until the weighted count drops enough to admit one more request.
+function waitFor(limit, windowMs, previous, current, elapsed) {
+  if (current + 1 <= limit) {
+    // Only the previous window's share is in the way; it shrinks linearly.
+    return Math.ceil(windowMs * (1 - (limit - current - 1) / previous) - elapsed);
+  }
+  // The current window alone is over budget, so wait for it to become the previous one.
+  return Math.ceil(windowMs - elapsed + windowMs * (1 - (limit - 1) / current));
+}
+
+export function createRateLimiter({ store = createMemoryRateLimitStore(), policies }) {
+  return {
+    policies,
+
+    // Records a request against the policy unless it would exceed the budget. The
+    // decision uses the count the increment returns, so concurrent requests (or
+    // several instances sharing a store) can't all read the same count and get in.
+    // Rejected requests are taken back off, so a client that backs off recovers on
+    // schedule.
+    async consume(name, clientKey, now = Date.now()) {
+      const policy = policies[name];
+      if (!policy) {
+        throw new Error(`Unknown rate limit policy "${name}".`);
+      }
+
+      const { limit, windowMs } = policy;
+      const windowIndex = Math.floor(now / windowMs);
+      const elapsed = now - windowIndex * windowMs;
+      const prefix = `${name}:${clientKey}:`;
+      const key = prefix + windowIndex;
+      const [previous, count] = await Promise.all([
+        store.get(prefix + (windowIndex - 1)),
+        store.increment(key, windowMs * 2)
+      ]);
+      const weight = 1 - elapsed / windowMs;
+      // Time until every counted request has aged out of the sliding window.
+      const untilEmpty = (current) => windowMs - elapsed + (current ? windowMs : 0);
+
+      if (previous * weight + count > limit) {
+        await store.decrement(key);
+        const current = count - 1;
+        return {
+          allowed: false,
+          limit,
+          windowMs,
+          remaining: 0,
+          resetMs: untilEmpty(current),
+          retryAfterMs: Math.max(waitFor(limit, windowMs, previous, current, elapsed), 1000)
+        };
+      }
+
+      return {
+        allowed: true,
+        limit,
+        windowMs,
+        remaining: Math.max(Math.floor(limit - previous * weight - count), 0),
+        resetMs: untilEmpty(count),
+        retryAfterMs: 0
+      };
+    }
+  };
+}
+
+// Standard headers from the IETF RateLimit header fields draft, plus Retry-After on a
+// rejected request.
+export function setRateLimitHeaders(res, result) {
+  res.setHeader("RateLimit-Policy", `${result.limit};w=${Math.round(result.windowMs / 1000)}`);
+  res.setHeader("RateLimit-Limit", String(result.limit));
+  res.setHeader("RateLimit-Remaining", String(result.remaining));
+  res.setHeader("RateLimit-Reset", String(Math.ceil(result.resetMs / 1000)));
+  if (!result.allowed) {
+    res.setHeader("Retry-After", String(Math.ceil(result.retryAfterMs / 1000)));
+  }
+}
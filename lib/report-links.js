@@ -0,0 +1,85 @@
+import crypto from "crypto";
+import path from "path";
+import { appendJsonLine, readJsonLines } from "./jsonl.js";
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Shareable walkthrough result links. Only a hash of each token is stored, so the data
+// directory alone can't be used to open anyone's report. Like the lead store this is
+// an append-only log: "link" records are issued, "revoke" records retire them.
+export function createReportLinkStore({ dataDir, ttlMs }) {
+  const file = path.join(dataDir, "report-links.jsonl");
+
+  async function list() {
+    const links = new Map();
+    for (const record of await readJsonLines(file)) {
+      if (record.type === "link") {
+        links.set(record.id, { ...record, revokedAt: "", revokedBy: "" });
+      } else if (record.type === "revoke" && links.has(record.linkId)) {
+        Object.assign(links.get(record.linkId), { revokedAt: record.at, revokedBy: record.by });
+      }
+    }
+    return Array.from(links.values());
+  }
+
+  function status(link, now = Date.now()) {
+    if (link.revokedAt) return "revoked";
+    if (Date.parse(link.expiresAt) <= now) return "expired";
+    return "active";
+  }
+
+  return {
+    file,
+    status,
+
+    async create(leadId) {
+      const token = crypto.randomBytes(24).toString("base64url");
+      const now = Date.now();
+      const link = {
+        type: "link",
+        id: crypto.randomUUID(),
+        tokenHash: hashToken(token),
+        leadId,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+      };
+      await appendJsonLine(file, link);
+      return { token, id: link.id, expiresAt: link.expiresAt };
+    },
+
+    // Returns the link a token points at along with its status, or null for a token
+    // that was never issued.
+    async resolve(token) {
+      if (!TOKEN_PATTERN.test(String(token || ""))) {
+        return null;
+      }
+      const tokenHash = hashToken(token);
+      const link = (await list()).find((entry) => entry.tokenHash === tokenHash);
+      return link ? { ...link, status: status(link) } : null;
+    },
+
+    async get(linkId) {
+      const link = (await list()).find((entry) => entry.id === linkId);
+      return link ? { ...link, status: status(link) } : null;
+    },
+
+    async forLead(leadId) {
+      return (await list())
+        .filter((link) => link.leadId === leadId)
+        .map((link) => ({ ...link, status: status(link) }));
+    },
+
+    async revoke(linkId, by) {
+      await appendJsonLine(file, {
+        type: "revoke",
+        linkId,
+        by,
+        at: new Date().toISOString()
+      });
+    }
+  };
+}
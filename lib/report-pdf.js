@@ -0,0 +1,162 @@
+import PDFDocument from "pdfkit";
+import { absoluteUrl, findService } from "./catalog.js";
+import { log } from "./logger.js";
+
+const NAVY = "#11273d";
+const RUST = "#a4401f";
+const INK = "#2b3440";
+const MUTED = "#5b6675";
+const RULE = "#d8d4c9";
+const MARGIN = 56;
+
+const DETAIL_LABELS = [
+  ["industry", "Industry"],
+  ["team_size", "Team size"],
+  ["pain_points", "Pain points"],
+  ["tools", "Tools"],
+  ["goals", "Goals"],
+  ["timeline", "Timeline"],
+  ["budget", "Budget"]
+];
+
+function heading(doc, text) {
+  doc.moveDown(1.1);
+  doc.font("Helvetica-Bold").fontSize(12).fillColor(RUST).text(text.toUpperCase(), {
+    characterSpacing: 0.8
+  });
+  doc.moveDown(0.4);
+  doc.font("Helvetica").fontSize(11).fillColor(INK);
+}
+
+// Renders the walkthrough report as a one- or two-page PDF with the built-in PDF
+// fonts, so nothing beyond pdfkit is needed at runtime.
+export function renderReportPdf({ report, createdAt }) {
+  const doc = new PDFDocument({
+    size: "LETTER",
+    margin: MARGIN,
+    info: {
+      Title: "AI Walkthrough Summary",
+      Author: "Ross Applied AI",
+      Subject: "Qualitative AI walkthrough summary"
+    }
+  });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const width = doc.page.width - MARGIN * 2;
+  doc.rect(0, 0, doc.page.width, 92).fill(NAVY);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .fillColor("#ffffff")
+    .text("Ross Applied AI", MARGIN, 30, { continued: true })
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor("#c9d3de")
+    .text("   AI consulting · Tulsa");
+  doc.fontSize(10).text(absoluteUrl("/"), MARGIN, 56);
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(22)
+    .fillColor(NAVY)
+    .text("AI Walkthrough Summary", MARGIN, 124);
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor(MUTED)
+    .text(
+      new Date(createdAt).toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+        timeZone: "America/Chicago"
+      })
+    );
+
+  heading(doc, "Summary");
+  doc.text(report.summary, { width, lineGap: 3 });
+
+  heading(doc, "Key details");
+  for (const [key, label] of DETAIL_LABELS) {
+    doc.font("Helvetica-Bold").text(`${label}: `, { continued: true, lineGap: 3 });
+    doc.font("Helvetica").text(report.extracted?.[key] || "unknown");
+  }
+
+  heading(doc, "Recommended services");
+  for (const name of report.recommended_services || []) {
+    const service = findService(name);
+    doc.font("Helvetica-Bold").text(name, { lineGap: 2 });
+    if (service) {
+      doc
+        .font("Helvetica")
+        .fontSize(9)
+        .fillColor(MUTED)
+        .text(absoluteUrl(service.url), { link: absoluteUrl(service.url), lineGap: 4 });
+      doc.fontSize(11).fillColor(INK);
+    }
+  }
+
+  heading(doc, "Suggested next step");
+  doc.text(report.suggested_next_step, { width, lineGap: 3 });
+  doc.moveDown(0.6);
+  doc
+    .fillColor(RUST)
+    .text(`Book a call: ${absoluteUrl("/book-call/")}`, { link: absoluteUrl("/book-call/") });
+
+  doc.moveDown(1.5);
+  const y = doc.y;
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + width, y).strokeColor(RULE).stroke();
+  doc
+    .moveDown(0.6)
+    .font("Helvetica")
+    .fontSize(8.5)
+    .fillColor(MUTED)
+    .text(
+      "A qualitative orientation based on the answers provided. It is not a readiness " +
+        "score, performance forecast, or implementation guarantee.",
+      MARGIN,
+      doc.y,
+      { width }
+    );
+
+  doc.end();
+  return done;
+}
+
+// Stored notifications name their PDF as { reportPdf: { linkId } } instead of carrying
+// it, so leads.jsonl stays small. The returned function swaps that for the attachment
+// just before sending, rendered from the linked report; a revoked or expired link, or
+// a PDF that fails to render, sends the email without it.
+export function createReportAttacher({ reportLinks, leadStore }) {
+  return async function attachReportPdf({ reportPdf, ...message }) {
+    if (!reportPdf?.linkId) {
+      return message;
+    }
+    try {
+      const link = await reportLinks.get(reportPdf.linkId);
+      const lead = link?.status === "active" ? await leadStore.get(link.leadId) : null;
+      if (!lead?.report) {
+        return message;
+      }
+      const pdf = await renderReportPdf({ report: lead.report, createdAt: lead.createdAt });
+      return {
+        ...message,
+        attachments: [
+          {
+            filename: "ai-walkthrough-summary.pdf",
+            contentType: "application/pdf",
+            content: pdf.toString("base64")
+          }
+        ]
+      };
+    } catch (error) {
+      log.error("Walkthrough PDF error", { error });
+      return message;
+    }
+  };
+}
@@ -0,0 +1,440 @@
+import { localParts, zonedTime } from "./timezones.js";
+
+// Turns free-text availability like "Tue or Thu mornings, not after 3pm" or "anytime
+// next week" into structured preferences, then ranks open slots by how well they fit.
+//
+// Text is split into clauses on commas, semicolons and periods. Within a clause, days,
+// dates and hours combine ("Thursday afternoons"); a clause that only adds something
+// the previous one lacked refines it ("Tue or Thu, mornings"), and one that repeats a
+// kind of constraint starts an alternative ("Tue mornings, Thu afternoons"). "Or"
+// also separates alternatives when both sides name a day and a time ("Monday 9-11 or
+// Wednesday afternoon"). "No later than 4pm", "not before 10" and similar are limits
+// on every option; anything else after "not", "except", "avoid" and similar words in
+// a clause is an exclusion.
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const DAY_PATTERN =
+  "(sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:s|nesday)?|thu(?:r|rs|rsday)?|" +
+  "fri(?:day)?|sat(?:urday)?)s?";
+const MONTHS = [
+  "jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"
+];
+
+const DAY_PARTS = [
+  { pattern: /\bearly mornings?\b/, start: 7, end: 9, label: "early morning" },
+  { pattern: /\bmornings?\b/, start: 8, end: 12, label: "morning" },
+  { pattern: /\b(?:lunch(?:time)?|midday|mid-day)\b/, start: 11, end: 13, label: "midday" },
+  { pattern: /\bend of (?:the )?day\b/, start: 15, end: 18, label: "end of day" },
+  { pattern: /\bafternoons?\b/, start: 12, end: 17, label: "afternoon" },
+  { pattern: /\bevenings?\b|\bafter work\b/, start: 17, end: 20, label: "evening" }
+];
+
+const EXCLUSION = new RegExp(
+  "\\b(?:except|excluding|other than|but not|not|no|avoid|never|cannot|can'?t)\\b|" +
+    "\\bany\\s*(?:time|day)\\s+but\\b"
+);
+const ANYTIME = /\b(?:any\s*time|whenever|flexible|any day|open)\b/;
+
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+function formatDateKey(dateKey, withWeekday = false) {
+  return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    month: "short",
+    day: "numeric",
+    ...(withWeekday ? { weekday: "short" } : {})
+  });
+}
+
+function formatHour(hour) {
+  if (hour === 0 || hour === 24) return "midnight";
+  if (hour === 12) return "noon";
+  const whole = Math.floor(hour);
+  const minutes = Math.round((hour - whole) * 60);
+  const display = whole % 12 || 12;
+  return `${display}${minutes ? `:${String(minutes).padStart(2, "0")}` : ""} ${
+    whole < 12 ? "AM" : "PM"
+  }`;
+}
+
+function dayIndex(token) {
+  const prefix = token.slice(0, 2);
+  return DAY_NAMES.findIndex((name) => name.toLowerCase().startsWith(prefix));
+}
+
+// Reads "2", "2:30", "2pm". Without am/pm, 1–6 are taken as afternoon hours since
+// nobody books a consulting call at 3 AM.
+function toHour(hours, minutes, meridiem) {
+  let hour = Number(hours);
+  if (hour > 24 || Number(minutes || 0) > 59) return null;
+  if (meridiem?.startsWith("p") && hour < 12) hour += 12;
+  else if (meridiem?.startsWith("a") && hour === 12) hour = 0;
+  else if (!meridiem && hour >= 1 && hour <= 6) hour += 12;
+  return hour + Number(minutes || 0) / 60;
+}
+
+const MERIDIEM = "(a\\.?m\\.?|p\\.?m\\.?)";
+const TIME = `(\\d{1,2})(?::(\\d{2}))?\\s*${MERIDIEM}?`;
+const CLOCK_TIME = `(\\d{1,2})(?::(\\d{2}))?\\s*${MERIDIEM}`;
+// "No later than 4pm" and friends, read before the exclusion words so their "no" and
+// "not" don't turn them into exclusions of 4 PM.
+const BOUND = new RegExp(
+  `\\b(?:no|not)\\s+(later than|earlier than|after|before|until)\\s+${TIME}`,
+  "g"
+);
+
+function parseDates(text, today) {
+  const dates = [];
+  const take = (pattern, handler) => {
+    text = text.replace(pattern, (...match) => {
+      const range = handler(...match);
+      if (range) dates.push(range);
+      return range ? " " : match[0];
+    });
+  };
+
+  const upcoming = (month, day) => {
+    const year = Number(today.slice(0, 4));
+    for (const candidate of [year, year + 1]) {
+      const key = `${candidate}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+      const check = new Date(`${key}T00:00:00Z`);
+      if (check.getUTCMonth() + 1 !== month) return null;
+      if (key >= today) return { from: key, to: key, label: formatDateKey(key, true) };
+    }
+    return null;
+  };
+
+  take(
+    new RegExp(`\\b(${MONTHS.join("|")})[a-z]*\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, "g"),
+    (_, month, day) => upcoming(MONTHS.indexOf(month) + 1, Number(day))
+  );
+  take(/\b(\d{1,2})\/(\d{1,2})\b/g, (_, month, day) => upcoming(Number(month), Number(day)));
+  take(/\bday after tomorrow\b/g, () => {
+    const key = addDays(today, 2);
+    return { from: key, to: key, label: `the day after tomorrow (${formatDateKey(key, true)})` };
+  });
+  take(/\btoday\b/g, () => ({
+    from: today,
+    to: today,
+    label: `today (${formatDateKey(today, true)})`
+  }));
+  take(/\btomorrow\b/g, () => {
+    const key = addDays(today, 1);
+    return { from: key, to: key, label: `tomorrow (${formatDateKey(key, true)})` };
+  });
+  take(/\bnext week\b/g, () => {
+    const from = addDays(today, ((8 - weekdayOf(today)) % 7) || 7);
+    const to = addDays(from, 6);
+    return { from, to, label: `next week (${formatDateKey(from)}–${formatDateKey(to)})` };
+  });
+  take(/\bthis week\b/g, () => {
+    const to = addDays(today, (7 - weekdayOf(today)) % 7);
+    return { from: today, to, label: `this week (through ${formatDateKey(to)})` };
+  });
+
+  return { text, dates };
+}
+
+function parseDays(text) {
+  const days = new Set();
+  const labels = [];
+  text = text.replace(
+    new RegExp(`\\b${DAY_PATTERN}\\s*(?:-|to|through|thru|until)\\s*${DAY_PATTERN}\\b`, "g"),
+    (_, first, last) => {
+      const start = dayIndex(first);
+      const end = dayIndex(last);
+      for (let day = start; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === end) break;
+      }
+      labels.push(`${DAY_NAMES[start]}–${DAY_NAMES[end]}`);
+      return " ";
+    }
+  );
+  text = text.replace(/\bweek\s*days?\b/g, () => {
+    [1, 2, 3, 4, 5].forEach((day) => days.add(day));
+    labels.push("weekdays");
+    return " ";
+  });
+  text = text.replace(/\bweek\s*ends?\b/g, () => {
+    [0, 6].forEach((day) => days.add(day));
+    labels.push("the weekend");
+    return " ";
+  });
+  text = text.replace(new RegExp(`\\b${DAY_PATTERN}\\b`, "g"), (_, token) => {
+    const day = dayIndex(token);
+    days.add(day);
+    labels.push(DAY_NAMES[day]);
+    return " ";
+  });
+  return { text, days, labels };
+}
+
+function parseWindows(text) {
+  const windows = [];
+  text = text.replace(
+    new RegExp(`\\b${TIME}\\s*(?:-|to|and|until|till|through|thru)\\s*${TIME}`, "g"),
+    (match, h1, m1, p1, h2, m2, p2) => {
+      let start = toHour(h1, m1, p1 || (p2 && Number(h1) <= Number(h2) ? p2 : undefined));
+      let end = toHour(h2, m2, p2);
+      if (start === null || end === null) return match;
+      if (end <= start && end < 12) end += 12;
+      if (end <= start && start >= 12 && !p1) start -= 12;
+      if (end <= start || end > 24) return match;
+      windows.push({ start, end, label: `${formatHour(start)}–${formatHour(end)}` });
+      return " ";
+    }
+  );
+  text = text.replace(
+    new RegExp(`\\b(after|from|starting at|before|by|until|at|around|about)\\s+${TIME}`, "g"),
+    (match, word, hours, minutes, meridiem) => {
+      const hour = toHour(hours, minutes, meridiem);
+      if (hour === null) return match;
+      if (word === "after" || word === "from" || word === "starting at") {
+        windows.push({ start: hour, end: 24, label: `after ${formatHour(hour)}` });
+      } else if (word === "before" || word === "by" || word === "until") {
+        windows.push({ start: 0, end: hour, label: `before ${formatHour(hour)}` });
+      } else if (word === "at") {
+        windows.push({ start: hour, end: hour + 1, label: `at ${formatHour(hour)}` });
+      } else {
+        windows.push({
+          start: Math.max(0, hour - 1),
+          end: Math.min(24, hour + 1),
+          label: `around ${formatHour(hour)}`
+        });
+      }
+      return " ";
+    }
+  );
+  text = text.replace(new RegExp(`\\b${CLOCK_TIME}`, "g"), (match, hours, minutes, meridiem) => {
+    const hour = toHour(hours, minutes, meridiem);
+    if (hour === null) return match;
+    windows.push({ start: hour, end: hour + 1, label: `at ${formatHour(hour)}` });
+    return " ";
+  });
+  for (const part of DAY_PARTS) {
+    if (part.pattern.test(text)) {
+      text = text.replace(new RegExp(part.pattern.source, "g"), " ");
+      windows.push({
+        start: part.start,
+        end: part.end,
+        label: `${part.label} (${formatHour(part.start)}–${formatHour(part.end)})`
+      });
+    }
+  }
+  return windows;
+}
+
+// Takes limits such as "no later than 4pm" out of a clause. Each is an hour range every
+// slot must start within, ends included.
+function parseBounds(text) {
+  const bounds = [];
+  text = text.replace(BOUND, (match, word, hours, minutes, meridiem) => {
+    const hour = toHour(hours, minutes, meridiem);
+    if (hour === null) return match;
+    if (word === "later than" || word === "after") {
+      bounds.push({ start: 0, end: hour, label: `no later than ${formatHour(hour)}` });
+    } else {
+      bounds.push({ start: hour, end: 24, label: `no earlier than ${formatHour(hour)}` });
+    }
+    return " ";
+  });
+  return { text, bounds };
+}
+
+function parseFragment(text, today) {
+  const withoutDates = parseDates(text, today);
+  const { days, labels, ...withoutDays } = parseDays(withoutDates.text);
+  const { dates } = withoutDates;
+  const windows = parseWindows(withoutDays.text);
+  const option = {};
+  if (days.size) option.days = { values: Array.from(days).sort(), labels };
+  if (dates.length) option.dates = dates;
+  if (windows.length) option.windows = windows;
+  return option;
+}
+
+// Splits "Monday 9-11 or Wednesday afternoon" into alternatives. "Or" inside one group
+// ("Tue or Thu mornings", "9 or 10am on Monday") stays put: a side only stands alone
+// when it and the text before it each name a day or date and a time.
+function splitAlternatives(text, today) {
+  const complete = (part) => {
+    const option = parseFragment(part, today);
+    return Boolean((option.days || option.dates) && option.windows);
+  };
+  const groups = [];
+  for (const part of text.split(/\s+or\s+/)) {
+    if (groups.length && !(complete(groups.at(-1)) && complete(part))) {
+      groups[groups.length - 1] += ` or ${part}`;
+    } else {
+      groups.push(part);
+    }
+  }
+  return groups;
+}
+
+function describeOption(option) {
+  return [
+    option.days?.labels.join(" or "),
+    option.windows?.map((window) => window.label).join(" or "),
+    option.dates
+      ?.toSorted((a, b) => a.from.localeCompare(b.from))
+      .map((range) => range.label)
+      .join(" or ")
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+// Parses availability text relative to `now` in the visitor's timezone. Returns
+// { options, exclusions, bounds, interpretation }; options are alternatives, each
+// holding any of days, dates and hour windows that must all match.
+export function parseAvailability(input, { timezone, now = new Date() }) {
+  const today = localParts(now, timezone).dateKey;
+  const options = [];
+  const exclusions = [];
+  const bounds = [];
+  let anytime = false;
+
+  const clauses = String(input || "")
+    .toLowerCase()
+    .replace(/[–—]/g, "-")
+    .replace(/\bnoon\b/g, "12pm")
+    .split(/[,;.\n]+|\s+(?=but not\b)|\s+(?=except\b)/);
+
+  for (const text of clauses) {
+    const { text: clause, bounds: limits } = parseBounds(text);
+    bounds.push(...limits);
+    const marker = clause.match(EXCLUSION);
+    const positive = marker ? clause.slice(0, marker.index) : clause;
+    const negative = marker ? clause.slice(marker.index + marker[0].length) : "";
+    if (ANYTIME.test(positive) || (marker && /\bany/.test(marker[0]))) anytime = true;
+
+    for (const group of splitAlternatives(positive, today)) {
+      const option = parseFragment(group, today);
+      if (Object.keys(option).length) {
+        const last = options.at(-1);
+        if (last && Object.keys(option).every((key) => !last[key])) {
+          Object.assign(last, option);
+        } else {
+          options.push(option);
+        }
+      }
+    }
+
+    const exclusion = negative ? parseFragment(negative, today) : {};
+    if (Object.keys(exclusion).length) {
+      exclusions.push(exclusion);
+    }
+  }
+
+  const described = options.map(describeOption);
+  const interpretation = [
+    described.length ? described.join("; or ") : anytime ? "Any time" : "",
+    bounds.map((bound) => bound.label).join(", "),
+    exclusions.length ? `not ${exclusions.map(describeOption).join(" or ")}` : ""
+  ]
+    .filter(Boolean)
+    .join("; ");
+
+  return {
+    options,
+    exclusions,
+    bounds,
+    understood: Boolean(options.length || exclusions.length || bounds.length || anytime),
+    interpretation: interpretation
+      ? interpretation.charAt(0).toUpperCase() + interpretation.slice(1)
+      : "No specific days or times recognized, so these are the earliest openings."
+  };
+}
+
+// Midnight at the start of the first calendar date every option is limited to, so the
+// slot search can begin there instead of now. Null when some option is not tied to
+// dates.
+export function preferredSearchStart(preferences, timezone) {
+  if (!preferences.options.length || preferences.options.some((option) => !option.dates)) {
+    return null;
+  }
+  const dateKey = preferences.options
+    .flatMap((option) => option.dates.map((range) => range.from))
+    .sort()[0];
+  return zonedTime(dateKey, 0, timezone);
+}
+
+function inWindow(hour, window) {
+  return hour >= window.start && hour < window.end;
+}
+
+function matchesAll(option, parts) {
+  return (
+    (!option.days || option.days.values.includes(parts.weekday)) &&
+    (!option.dates ||
+      option.dates.some((range) => parts.dateKey >= range.from && parts.dateKey <= range.to)) &&
+    (!option.windows || option.windows.some((window) => inWindow(parts.hour, window)))
+  );
+}
+
+// Scores one option from 0 to 1: the share of its constraints the slot meets, with
+// hour windows giving partial credit for slots up to three hours outside them.
+function scoreOption(option, parts) {
+  const scores = [];
+  if (option.days) {
+    scores.push(option.days.values.includes(parts.weekday) ? 1 : 0);
+  }
+  if (option.dates) {
+    scores.push(
+      option.dates.some((range) => parts.dateKey >= range.from && parts.dateKey <= range.to)
+        ? 1
+        : 0
+    );
+  }
+  if (option.windows) {
+    scores.push(
+      Math.max(
+        ...option.windows.map((window) => {
+          if (inWindow(parts.hour, window)) return 1;
+          const distance =
+            parts.hour < window.start ? window.start - parts.hour : parts.hour - window.end;
+          return Math.max(0, 0.75 - distance / 4);
+        })
+      )
+    );
+  }
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+// Scores a slot start against parsed preferences. Excluded slots and slots outside a
+// limit score null; with no stated preference every slot scores 1.
+export function scoreSlot(iso, preferences, timezone) {
+  const parts = localParts(new Date(iso), timezone);
+  if (
+    preferences.exclusions.some((exclusion) => matchesAll(exclusion, parts)) ||
+    preferences.bounds.some((bound) => parts.hour < bound.start || parts.hour > bound.end)
+  ) {
+    return null;
+  }
+  if (!preferences.options.length) {
+    return 1;
+  }
+  return Math.max(...preferences.options.map((option) => scoreOption(option, parts)));
+}
+
+// Orders slots best fit first, earliest first among equals, dropping exclusions and
+// slots that meet none of the stated preferences. Each result carries its `score`.
+export function rankSlots(slots, preferences, timezone) {
+  return slots
+    .map((slot) => ({ slot, score: scoreSlot(slot.start_time, preferences, timezone) }))
+    .filter(({ score }) => score)
+    .sort(
+      (a, b) => b.score - a.score || Date.parse(a.slot.start_time) - Date.parse(b.slot.start_time)
+    )
+    .map(({ slot, score }) => ({ ...slot, score }));
+}
@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// Response headers and request checks that apply to the whole app: a Content-Security-
+// Policy built per page from the hashes of its own inline scripts, HSTS, framing and
+// referrer policies, and an Origin/Referer allowlist for API calls that change state.
+
+const INLINE_SCRIPT = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+const EXECUTABLE_TYPES = ["", "text/javascript", "application/javascript", "module"];
+
+// The Calendly inline widget loads its script from assets.calendly.com and the
+// scheduler itself in a calendly.com iframe. Fonts come from Google Fonts.
+const PAGE_SOURCES = {
+  "script-src": ["'self'", "https://assets.calendly.com"],
+  // Pages use style attributes and the widget sets inline styles, neither of which
+  // can be hashed without 'unsafe-hashes', so styles stay looser than scripts.
+  "style-src": [
+    "'self'",
+    "'unsafe-inline'",
+    "https://fonts.googleapis.com",
+    "https://assets.calendly.com"
+  ],
+  "font-src": ["'self'", "https://fonts.gstatic.com"],
+  "img-src": ["'self'", "data:", "https://assets.calendly.com"],
+  "frame-src": ["https://calendly.com", "https://*.calendly.com"],
+  "connect-src": ["'self'"],
+  // The contact form posts to a mailto: action when JavaScript is off or the API fails.
+  "form-action": ["'self'", "mailto:"]
+};
+
+// Under /api so that Netlify, which proxies /api/* here, delivers the static pages'
+// reports too.
+export const CSP_REPORT_PATH = "/api/csp-report";
+
+// Directive names a violation report can name, fetch directives' -elem and -attr
+// variants included.
+export const CSP_DIRECTIVES = [
+  "default-src",
+  "script-src",
+  "script-src-elem",
+  "script-src-attr",
+  "style-src",
+  "style-src-elem",
+  "style-src-attr",
+  "font-src",
+  "img-src",
+  "frame-src",
+  "connect-src",
+  "object-src",
+  "base-uri",
+  "form-action",
+  "frame-ancestors"
+];
+
+// Hashes of the inline scripts that run. Data blocks such as JSON-LD and the
+// embedded walkthrough questions are never executed, so they need no hash.
+export function inlineScriptHashes(html) {
+  const hashes = [];
+  for (const [, attributes, body] of String(html).matchAll(INLINE_SCRIPT)) {
+    const type = (attributes.match(/\btype\s*=\s*["']?([^"'\s>]+)/i)?.[1] || "").toLowerCase();
+    if (/\bsrc\s*=/i.test(attributes) || !EXECUTABLE_TYPES.includes(type)) continue;
+    hashes.push(`'sha256-${crypto.createHash("sha256").update(body).digest("base64")}'`);
+  }
+  return [...new Set(hashes)];
+}
+
+function serialize(directives) {
+  return Object.entries(directives)
+    .map(([name, sources]) => [name, ...sources].join(" "))
+    .join("; ");
+}
+
+// `reportUri` receives violation reports. Page policies are cached per file and
+// rebuilt when the file's modification time changes.
+export function createContentSecurityPolicy({ reportUri }) {
+  const cache = new Map();
+  const base = {
+    "default-src": ["'self'"],
+    "base-uri": ["'self'"],
+    "object-src": ["'none'"],
+    "form-action": ["'self'"],
+    "frame-ancestors": ["'none'"]
+  };
+  const reporting = { "report-uri": [reportUri], "report-to": ["csp"] };
+
+  function forHtml(html) {
+    const directives = { ...base, ...PAGE_SOURCES, ...reporting };
+    directives["script-src"] = [...PAGE_SOURCES["script-src"], ...inlineScriptHashes(html)];
+    return serialize(directives);
+  }
+
+  return {
+    // For responses that aren't site pages: JSON, the admin console, files. Nothing
+    // inline runs and nothing loads from another origin.
+    default: serialize({
+      ...base,
+      "default-src": ["'none'"],
+      "style-src": ["'self'"],
+      "img-src": ["'self'"],
+      "connect-src": ["'self'"],
+      ...reporting
+    }),
+    reportingEndpoints: `csp="${reportUri}"`,
+    forHtml,
+
+    forFile(file, stat = fs.statSync(file)) {
+      const cached = cache.get(file);
+      if (cached && cached.mtimeMs === stat.mtimeMs) {
+        return cached.policy;
+      }
+      const policy = forHtml(fs.readFileSync(file, "utf8"));
+      cache.set(file, { mtimeMs: stat.mtimeMs, policy });
+      return policy;
+    }
+  };
+}
+
+// Sent with every response, here and by Netlify for the static pages (netlify.toml).
+export const SECURITY_HEADERS = {
+  "X-Frame-Options": "DENY",
+  "Referrer-Policy": "strict-origin-when-cross-origin",
+  "X-Content-Type-Options": "nosniff",
+  "Permissions-Policy": "camera=(), microphone=(), geolocation=(), payment=()",
+  "Cross-Origin-Opener-Policy": "same-origin-allow-popups"
+};
+
+export function strictTransportSecurity(maxAge) {
+  return `max-age=${maxAge}; includeSubDomains`;
+}
+
+// HSTS is only sent over HTTPS (req.secure, which honors "trust proxy"), since
+// browsers ignore it on plain HTTP and it would pin localhost during development.
+export function securityHeaders({ csp, hstsMaxAge = 31536000 }) {
+  return (req, res, next) => {
+    res.set({
+      "Content-Security-Policy": csp.default,
+      "Reporting-Endpoints": csp.reportingEndpoints,
+      ...SECURITY_HEADERS
+    });
+    if (req.secure && hstsMaxAge > 0) {
+      res.set("Strict-Transport-Security", strictTransportSecurity(hstsMaxAge));
+    }
+    next();
+  };
+}
+
+function originOf(value) {
+  try {
+    return new URL(value).origin;
+  } catch {
+    return "";
+  }
+}
+
+// Browsers send Origin with every cross-site POST, PUT, PATCH and DELETE, and
+// Referer when Origin is withheld, so a request carrying neither, or one from an
+// origin not on the list, didn't come from the site's own pages. The app's own
+// origin is always allowed. `exempt` lists paths called by servers rather than
+// browsers, such as webhooks, which authenticate themselves.
+export function requireAllowedOrigin({ allowedOrigins, exempt = [] }) {
+  const allowed = new Set(allowedOrigins.map(originOf).filter(Boolean));
+  const unsafeMethods = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+  return (req, res, next) => {
+    if (!unsafeMethods.has(req.method) || exempt.includes(req.path)) {
+      return next();
+    }
+    const origin = originOf(req.get("origin")) || originOf(req.get("referer"));
+    const own = `${req.protocol}://${req.get("host")}`;
+    if (origin && (origin === own || allowed.has(origin))) {
+      return next();
+    }
+    res.status(403).json({
+      error: origin
+        ? "Requests from this origin are not allowed."
+        : "Missing Origin or Referer header."
+    });
+  };
+}
@@ -0,0 +1,214 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { SITE_ORIGIN } from "./catalog.js";
+
+const SKIPPED_DIRECTORIES = new Set([".git", "node_modules", "data", "lib", "scripts"]);
+const PASSAGE_WORDS = 90;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by can do does for from has have how i if in into is it its " +
+    "me my of on or our so than that the their them then there these they this to was we " +
+    "what when where which who why will with you your"
+  ).split(" ")
+);
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  rsquo: "’",
+  lsquo: "‘",
+  rdquo: "”",
+  ldquo: "“",
+  hellip: "…"
+};
+
+async function findPages(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (SKIPPED_DIRECTORIES.has(entry.name)) {
+      continue;
+    }
+
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await findPages(entryPath)));
+    } else if (entry.name === "index.html") {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const value =
+        code[1] === "x" || code[1] === "X"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return Number.isNaN(value) ? match : String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function extractSections(html) {
+  const main = html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i)?.[1] || html;
+  const cleaned = main.replace(
+    /<(script|style|svg|noscript|form|iframe)\b[\s\S]*?<\/\1>/gi,
+    " "
+  );
+
+  return cleaned
+    .split(/(?=<h[1-3]\b)/i)
+    .map((part) => ({
+      heading: stripTags(part.match(/^<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i)?.[1] || ""),
+      text: stripTags(part)
+    }))
+    .filter((section) => section.text);
+}
+
+function chunkWords(text) {
+  const words = text.split(" ");
+  const chunks = [];
+  for (let index = 0; index < words.length; index += PASSAGE_WORDS) {
+    chunks.push(words.slice(index, index + PASSAGE_WORDS).join(" "));
+  }
+  return chunks;
+}
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+export function tokenize(text) {
+  return (String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter((word) => !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+function routeForFile(rootDir, file) {
+  const relative = path.relative(rootDir, file).split(path.sep).join("/");
+  return relative === "index.html" ? "/" : "/" + relative.slice(0, -"index.html".length);
+}
+
+async function readPagePassages(rootDir, file) {
+  const html = await fs.readFile(file, "utf8");
+  const pagePath = routeForFile(rootDir, file);
+  const rawTitle = stripTags(html.match(/<title>([\s\S]*?)<\/title>/i)?.[1] || pagePath);
+  const title = rawTitle.split(" | ")[0].trim() || rawTitle;
+
+  return extractSections(html).flatMap((section) =>
+    chunkWords(section.text).map((text) => ({
+      title,
+      path: pagePath,
+      heading: section.heading,
+      text
+    }))
+  );
+}
+
+async function readLlmsPassages(rootDir) {
+  let source;
+  try {
+    source = await fs.readFile(path.join(rootDir, "llms.txt"), "utf8");
+  } catch {
+    return [];
+  }
+
+  return source
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .flatMap((block) => {
+      const [heading, ...rest] = block.split("\n");
+      return chunkWords(rest.join(" ").replace(/\s+/g, " ").trim() || heading).map((text) => ({
+        title: "Ross Applied AI overview",
+        path: "/llms.txt",
+        heading: heading.trim(),
+        text
+      }));
+    });
+}
+
+export async function buildSiteIndex(rootDir) {
+  const files = await findPages(rootDir);
+  const pagePassages = await Promise.all(files.map((file) => readPagePassages(rootDir, file)));
+  const passages = [...pagePassages.flat(), ...(await readLlmsPassages(rootDir))].map(
+    (passage) => {
+      const terms = tokenize(`${passage.title} ${passage.heading} ${passage.text}`);
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      return { ...passage, url: SITE_ORIGIN + passage.path, length: terms.length, frequencies };
+    }
+  );
+
+  const documentFrequency = new Map();
+  for (const passage of passages) {
+    for (const term of passage.frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const averageLength =
+    passages.reduce((sum, passage) => sum + passage.length, 0) / (passages.length || 1);
+
+  function idf(term) {
+    const count = documentFrequency.get(term) || 0;
+    return Math.log(1 + (passages.length - count + 0.5) / (count + 0.5));
+  }
+
+  return {
+    size: passages.length,
+    pages: files.length,
+
+    search(query, limit = 4) {
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0) {
+        return [];
+      }
+
+      return passages
+        .map((passage) => {
+          let score = 0;
+          for (const term of terms) {
+            const frequency = passage.frequencies.get(term) || 0;
+            if (!frequency) continue;
+            const norm = BM25_K1 * (1 - BM25_B + (BM25_B * passage.length) / averageLength);
+            score += (idf(term) * frequency * (BM25_K1 + 1)) / (frequency + norm);
+          }
+          return { passage, score };
+        })
+        .filter((result) => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ passage, score }) => ({
+          title: passage.title,
+          path: passage.path,
+          url: passage.url,
+          heading: passage.heading,
+          text: passage.text,
+          score
+        }));
+    }
+  };
+}
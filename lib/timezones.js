@@ -0,0 +1,230 @@
+// Resolves what visitors type or browsers report into IANA timezone names. Everything
+// downstream (slot labels, preference matching, the Calendly invitee) gets a zone
+// Intl accepts, so DST is handled by the zone rules rather than a fixed offset.
+
+export const DEFAULT_TIMEZONE = "America/Chicago";
+
+// People say "EST" or "Central" year-round and mean the local clock, so abbreviations
+// map to the DST-observing zone rather than a fixed offset.
+const ALIASES = {
+  eastern: "America/New_York",
+  est: "America/New_York",
+  edt: "America/New_York",
+  et: "America/New_York",
+  central: "America/Chicago",
+  cst: "America/Chicago",
+  cdt: "America/Chicago",
+  ct: "America/Chicago",
+  mountain: "America/Denver",
+  mst: "America/Denver",
+  mdt: "America/Denver",
+  mt: "America/Denver",
+  arizona: "America/Phoenix",
+  pacific: "America/Los_Angeles",
+  pst: "America/Los_Angeles",
+  pdt: "America/Los_Angeles",
+  pt: "America/Los_Angeles",
+  alaska: "America/Anchorage",
+  akst: "America/Anchorage",
+  akdt: "America/Anchorage",
+  hawaii: "Pacific/Honolulu",
+  hst: "Pacific/Honolulu",
+  gmt: "UTC",
+  utc: "UTC",
+  z: "UTC",
+  zulu: "UTC"
+};
+
+const OFFSET_PATTERN = /^(?:utc|gmt)?([+-])(\d{1,2})(?::?(\d{2}))?$/;
+const COMMON_ZONES = [
+  "America/New_York",
+  "America/Chicago",
+  "America/Denver",
+  "America/Los_Angeles",
+  "UTC"
+];
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+let zoneCache;
+const partFormatters = new Map();
+
+function partsFormatter(timezone) {
+  if (!partFormatters.has(timezone)) {
+    partFormatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23"
+      })
+    );
+  }
+  return partFormatters.get(timezone);
+}
+
+// The calendar date ("2026-03-08"), weekday (0 = Sunday) and decimal hour of an
+// instant in a timezone.
+export function localParts(date, timezone) {
+  const parts = Object.fromEntries(
+    partsFormatter(timezone)
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour) + Number(parts.minute) / 60
+  };
+}
+
+// The instant a local wall-clock time occurs: `minutes` after midnight on `dateKey`
+// in `timezone`. The offset is checked at the result as well as the first guess, so
+// times on DST change days come out right. Times skipped by a spring-forward gap land
+// an hour later, as clocks do.
+export function zonedTime(dateKey, minutes, timezone) {
+  const wall = Date.parse(`${dateKey}T00:00:00Z`) + minutes * 60000;
+  const offsetAt = (instant) => {
+    const local = localParts(new Date(instant), timezone);
+    const wallAt = Date.parse(`${local.dateKey}T00:00:00Z`) + Math.round(local.hour * 60) * 60000;
+    return wallAt - instant;
+  };
+  const first = wall - offsetAt(wall);
+  return new Date(wall - offsetAt(first));
+}
+
+function knownZones() {
+  zoneCache ??= [...Intl.supportedValuesOf("timeZone"), "UTC"];
+  return zoneCache;
+}
+
+// Returns Intl's canonical spelling of a zone, or "" if Intl doesn't know it.
+// Intl also accepts legacy names like "US/Central" and is case-insensitive.
+function canonicalZone(name) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: name }).resolvedOptions().timeZone;
+  } catch {
+    return "";
+  }
+}
+
+function offsetMinutes(timezone, date = new Date()) {
+  const name = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    timeZoneName: "longOffset"
+  })
+    .formatToParts(date)
+    .find((part) => part.type === "timeZoneName").value;
+  const match = name.match(/([+-])(\d{2}):(\d{2})/);
+  return match ? (match[1] === "-" ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function simplify(text) {
+  return text.toLowerCase().replace(/[\s_-]+/g, " ").trim();
+}
+
+// Closest zone names to an unrecognized input, compared against both the full name
+// and the city part ("Chicgo" suggests America/Chicago).
+export function suggestTimezones(input, limit = 5) {
+  const query = simplify(String(input || ""));
+  if (!query) return [];
+  return knownZones()
+    .map((zone) => {
+      const full = simplify(zone);
+      const city = simplify(zone.split("/").pop());
+      const distance = Math.min(editDistance(query, full), editDistance(query, city));
+      return { zone, score: city.includes(query) || full.includes(query) ? -1 : distance };
+    })
+    .filter(({ score }) => score <= Math.max(2, Math.floor(query.length / 3)))
+    .sort((a, b) => a.score - b.score || a.zone.localeCompare(b.zone))
+    .slice(0, limit)
+    .map(({ zone }) => zone);
+}
+
+// Zones currently `minutes` away from UTC, for offsets Etc/GMT can't express.
+function zonesAtOffset(minutes, limit = 5) {
+  return knownZones()
+    .filter((zone) => !zone.startsWith("Etc/") && offsetMinutes(zone) === minutes)
+    .slice(0, limit);
+}
+
+// Accepts IANA names in any case, legacy names, the aliases above, bare city names
+// ("new york") and whole-hour UTC offsets ("UTC-6", "GMT+2"). Returns { timezone } or
+// { error, suggestions }. Empty input gets the default zone.
+export function resolveTimezone(input) {
+  const raw = String(input ?? "").trim();
+  if (!raw) {
+    return { timezone: DEFAULT_TIMEZONE };
+  }
+  if (raw.length > 64) {
+    return { error: "Timezone is too long.", suggestions: [] };
+  }
+
+  // "Central Time (US & Canada)" and "Eastern Standard Time" reduce to their alias.
+  const key = simplify(raw.replace(/\s*\(.*\)$/, "")).replace(
+    / (?:standard |daylight )?time(?: zone)?$/,
+    ""
+  );
+  if (ALIASES[key]) {
+    return { timezone: ALIASES[key] };
+  }
+
+  const offset = raw.toLowerCase().replace(/\s+/g, "").match(OFFSET_PATTERN);
+  if (offset) {
+    const hours = Number(offset[2]);
+    const minutes = Number(offset[3] || 0);
+    const sign = offset[1] === "-" ? -1 : 1;
+    if (!hours && !minutes) {
+      return { timezone: "UTC" };
+    }
+    // Etc/GMT names use POSIX signs, so UTC-6 is Etc/GMT+6.
+    const fixed = minutes ? "" : canonicalZone(`Etc/GMT${sign > 0 ? "-" : "+"}${hours}`);
+    if (fixed) {
+      return { timezone: fixed };
+    }
+    if (!minutes || hours > 14 || minutes > 59) {
+      return { error: `"${raw}" is not a valid UTC offset.`, suggestions: [] };
+    }
+    return {
+      error: `"${raw}" has no fixed-offset zone. Choose the zone for your location.`,
+      suggestions: zonesAtOffset(sign * (hours * 60 + minutes))
+    };
+  }
+
+  const canonical = canonicalZone(raw);
+  if (canonical) {
+    return { timezone: canonical };
+  }
+
+  const city = knownZones().find((zone) => simplify(zone.split("/").pop()) === key);
+  if (city) {
+    return { timezone: city };
+  }
+
+  const suggestions = suggestTimezones(raw);
+  return {
+    error: `Unknown timezone "${raw}". Use an IANA name like America/Chicago.`,
+    suggestions: suggestions.length ? suggestions : COMMON_ZONES
+  };
+}
@@ -0,0 +1,165 @@
+// Walkthrough question flows, keyed by version. The page asks the questions of the
+// current version and posts that version back with the answers, so a page loaded
+// before a deploy is still validated against the flow it showed. Keep old versions
+// here until pages that might have loaded them are long gone.
+//
+// A question with `when` is only asked if an earlier answer contains one of the
+// listed fragments (case-insensitive); answers are free text, so chips are not the
+// only way to reach a branch.
+
+const BASE_QUESTIONS = [
+  {
+    key: "industry",
+    prompt: "What type of business are you in?",
+    message: "Start with the shape of the business.",
+    chips: ["Professional services", "Healthcare", "Real estate", "Construction"]
+  },
+  {
+    key: "team_size",
+    prompt: "Roughly how big is your team?",
+    message: "Team size helps frame adoption and training needs.",
+    chips: ["1–5", "6–15", "16–50", "50+"]
+  },
+  {
+    key: "email",
+    type: "email",
+    prompt: "What email should receive the walkthrough summary?",
+    message: "This address is included in the request to send the summary."
+  },
+  {
+    key: "pain_points",
+    prompt: "What is the biggest operational bottleneck right now?",
+    message: "Name the friction before choosing the technology.",
+    chips: ["Manual admin", "Slow response time", "Data is scattered", "Lead follow-up"]
+  },
+  {
+    key: "tools",
+    prompt: "What tools or systems does the team use every day?",
+    message: "The best solution usually fits the current operating stack."
+  },
+  {
+    key: "goals",
+    prompt: "What outcome matters most in the next 90 days?",
+    message: "A useful outcome is specific enough to observe.",
+    chips: ["Save time", "Increase revenue", "Improve quality", "Reduce cost"]
+  },
+  {
+    key: "timeline",
+    prompt: "How urgent is the work?",
+    message: "Urgency changes the right scope and starting point.",
+    chips: ["As soon as possible", "30 days", "60 days", "90+ days"]
+  },
+  {
+    key: "budget",
+    prompt: "Is there a working budget range?",
+    message: "A range helps keep the recommendation realistic.",
+    chips: ["Under $2k", "$2k–$5k", "$5k–$15k", "$15k+"]
+  }
+];
+
+const MANUFACTURING = { key: "industry", includes: ["manufactur", "fabricat", "machin"] };
+const HEALTHCARE = { key: "industry", includes: ["health", "medical", "clinic", "dental"] };
+
+const FLOWS = {
+  1: BASE_QUESTIONS,
+  2: [
+    {
+      ...BASE_QUESTIONS[0],
+      chips: ["Professional services", "Healthcare", "Real estate", "Manufacturing", "Construction"]
+    },
+    {
+      key: "production_type",
+      when: MANUFACTURING,
+      prompt: "What kind of production does the shop run?",
+      message: "Discrete, batch, and process work create different data and scheduling problems.",
+      chips: ["Discrete parts", "Job shop", "Batch", "Continuous process"]
+    },
+    {
+      key: "plant_systems",
+      when: MANUFACTURING,
+      prompt: "Where do orders, schedules, and quality records live today?",
+      message: "Most plant projects start with the system of record, not the model.",
+      chips: ["ERP", "MES", "Spreadsheets", "Paper travelers"]
+    },
+    {
+      key: "patient_data",
+      when: HEALTHCARE,
+      prompt: "Would the work touch patient information?",
+      message: "Protected health information narrows which tools and vendors are appropriate.",
+      chips: ["Yes", "No", "Not sure"]
+    },
+    ...BASE_QUESTIONS.slice(1)
+  ]
+};
+
+export const WALKTHROUGH_VERSION = 2;
+export const WALKTHROUGH_MAX_ANSWER_LENGTH = 1200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export function walkthroughFlow(version = WALKTHROUGH_VERSION) {
+  if (!Object.hasOwn(FLOWS, version)) {
+    return null;
+  }
+  return { version: Number(version), questions: FLOWS[version] };
+}
+
+export function questionApplies(question, answers) {
+  if (!question.when) {
+    return true;
+  }
+  const answer = String(answers[question.when.key] || "").toLowerCase();
+  return question.when.includes.some((fragment) => answer.includes(fragment));
+}
+
+// Checks submitted { key, answer } items against a flow version. Every question the
+// answers lead to must be answered, and nothing else may be. Returns the answers in
+// flow order with the server's own question text, or an error message.
+export function validateAnswers(version, rawAnswers) {
+  const flow = walkthroughFlow(version);
+  if (!flow) {
+    return { error: "Unknown walkthrough version. Reload the page and try again." };
+  }
+  if (rawAnswers.length > flow.questions.length) {
+    return { error: "Too many answers." };
+  }
+
+  const submitted = {};
+  for (const [index, item] of rawAnswers.entries()) {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      return { error: `Answer ${index + 1} is invalid.` };
+    }
+    if (typeof item.key !== "string" || typeof item.answer !== "string") {
+      return { error: `Answer ${index + 1} has invalid fields.` };
+    }
+
+    const key = item.key.trim().toLowerCase();
+    if (!flow.questions.some((question) => question.key === key)) {
+      return { error: `Answer ${index + 1} has an invalid key.` };
+    }
+    if (Object.hasOwn(submitted, key)) {
+      return { error: `Answer key "${key}" is duplicated.` };
+    }
+    submitted[key] = item.answer.trim();
+  }
+
+  const answers = [];
+  for (const question of flow.questions) {
+    const applies = questionApplies(question, submitted);
+    const answer = submitted[question.key];
+    if (!applies) {
+      if (answer) {
+        return { error: `Question "${question.key}" does not apply to these answers.` };
+      }
+      continue;
+    }
+    if (!answer || answer.length > WALKTHROUGH_MAX_ANSWER_LENGTH) {
+      return { error: `Answer for "${question.key}" is missing or too long.` };
+    }
+    if (question.type === "email" && (answer.length > 254 || !EMAIL_PATTERN.test(answer))) {
+      return { error: "A valid email address is required." };
+    }
+    answers.push({ key: question.key, question: question.prompt, answer });
+  }
+
+  return { version: flow.version, answers };
+}
@@ -0,0 +1,170 @@
+import { availableServices, findService } from "./catalog.js";
+
+export const EXTRACTED_FIELDS = [
+  "industry",
+  "team_size",
+  "pain_points",
+  "tools",
+  "goals",
+  "timeline",
+  "budget"
+];
+
+const REPORT_FIELDS = ["summary", "extracted", "recommended_services", "suggested_next_step"];
+const MAX_SUMMARY_LENGTH = 1500;
+const MAX_NEXT_STEP_LENGTH = 400;
+const MAX_EXTRACTED_LENGTH = 400;
+const MAX_SERVICES = 4;
+
+// Finds the first complete top-level JSON object in text, tracking strings so braces
+// inside values don't end it early. Models sometimes wrap JSON in prose or fences.
+function extractJsonObject(text) {
+  const start = text.indexOf("{");
+  if (start === -1) return "";
+  let depth = 0;
+  let inString = false;
+  for (let index = start; index < text.length; index += 1) {
+    const char = text[index];
+    if (inString) {
+      if (char === "\\") index += 1;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      depth += 1;
+    } else if (char === "}" && --depth === 0) {
+      return text.slice(start, index + 1);
+    }
+  }
+  return "";
+}
+
+export function parseReportJson(raw) {
+  const text = String(raw || "").trim();
+  for (const candidate of [text, extractJsonObject(text)]) {
+    if (!candidate) continue;
+    try {
+      return { value: JSON.parse(candidate), error: "" };
+    } catch {
+      // Try the next candidate.
+    }
+  }
+  return { value: null, error: "Response is not a JSON object." };
+}
+
+function checkText(value, name, maxLength) {
+  if (typeof value !== "string" || !value.trim()) {
+    return { error: `${name} must be a non-empty string.` };
+  }
+  if (value.length > maxLength) {
+    return { error: `${name} must be at most ${maxLength} characters.` };
+  }
+  return { value: value.trim() };
+}
+
+// Checks a parsed report field by field. Returns the fields that passed, normalized,
+// plus a list of problems suitable for sending back to the model in a repair prompt.
+// Recommended services are matched against the catalog by name or slug and returned
+// as catalog names; anything we don't offer is dropped and reported.
+export function validateReport(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { report: {}, errors: ["The report must be a JSON object."] };
+  }
+
+  const report = {};
+  const errors = [];
+  for (const key of Object.keys(value)) {
+    if (!REPORT_FIELDS.includes(key)) {
+      errors.push(`Unexpected key "${key}".`);
+    }
+  }
+
+  for (const [key, maxLength] of [
+    ["summary", MAX_SUMMARY_LENGTH],
+    ["suggested_next_step", MAX_NEXT_STEP_LENGTH]
+  ]) {
+    const result = checkText(value[key], key, maxLength);
+    if (result.error) errors.push(result.error);
+    else report[key] = result.value;
+  }
+
+  const extracted = value.extracted;
+  if (!extracted || typeof extracted !== "object" || Array.isArray(extracted)) {
+    errors.push("extracted must be an object.");
+  } else {
+    report.extracted = {};
+    for (const field of EXTRACTED_FIELDS) {
+      const result = checkText(extracted[field], `extracted.${field}`, MAX_EXTRACTED_LENGTH);
+      if (result.error) errors.push(result.error);
+      else report.extracted[field] = result.value;
+    }
+    for (const key of Object.keys(extracted)) {
+      if (!EXTRACTED_FIELDS.includes(key)) {
+        errors.push(`Unexpected key "extracted.${key}".`);
+      }
+    }
+  }
+
+  const recommended = value.recommended_services;
+  if (!Array.isArray(recommended)) {
+    errors.push("recommended_services must be an array of service names.");
+  } else {
+    const names = new Set();
+    for (const item of recommended) {
+      const service = typeof item === "string" ? findService(item) : undefined;
+      if (service?.available) {
+        names.add(service.name);
+      } else {
+        errors.push(
+          `recommended_services contains ${JSON.stringify(item)}, which is not one of: ` +
+            `${availableServices().map((entry) => entry.name).join(", ")}.`
+        );
+      }
+    }
+    if (names.size) {
+      report.recommended_services = Array.from(names).slice(0, MAX_SERVICES);
+    } else if (!errors.some((error) => error.startsWith("recommended_services"))) {
+      errors.push("recommended_services must name at least one service.");
+    }
+  }
+
+  return { report, errors };
+}
+
+// Builds the final report from validated partials, most preferred first, filling any
+// field none of them got right from the rule-based fallback report so one bad field
+// doesn't discard the rest. Also returns the names of the fields that fell back.
+export function mergeReport(partials, fallback) {
+  const fallbackFields = [];
+  const pick = (name, get, fallbackValue) => {
+    const value = partials.map(get).find((item) => item !== undefined);
+    if (value !== undefined) return value;
+    fallbackFields.push(name);
+    return fallbackValue;
+  };
+
+  const report = {
+    summary: pick("summary", (partial) => partial.summary, fallback.summary),
+    extracted: Object.fromEntries(
+      EXTRACTED_FIELDS.map((field) => [
+        field,
+        pick(
+          `extracted.${field}`,
+          (partial) => partial.extracted?.[field],
+          fallback.extracted[field]
+        )
+      ])
+    ),
+    recommended_services: pick(
+      "recommended_services",
+      (partial) => partial.recommended_services,
+      fallback.recommended_services
+    ),
+    suggested_next_step: pick(
+      "suggested_next_step",
+      (partial) => partial.suggested_next_step,
+      fallback.suggested_next_step
+    )
+  };
+  return { report, fallbackFields };
+}
@@ -0,0 +1,219 @@
+import crypto from "node:crypto";
+import express from "express";
+import { localParts } from "../lib/timezones.js";
+
+// Local stand-in for the Calendly API endpoints the scheduling routes call, so
+// /api/schedule and /api/schedule/confirm work with no network or Calendly account:
+//   npm run calendly:mock
+//   CALENDLY_API=mock CALENDLY_API_BASE_URL=http://localhost:4010 npm start
+//
+// It offers 30-minute intro calls on weekdays from 9 to 5 Central, remembers bookings
+// until it exits, and rejects a time that is already taken the way Calendly does.
+//   MOCK_CALENDLY_PORT      port to listen on (default 4010)
+//   MOCK_CALENDLY_DELAY_MS  delay every response, to exercise client timeouts
+//   MOCK_CALENDLY_FAIL      answer every request with this HTTP status
+//   MOCK_CALENDLY_WEBHOOK_URL  also deliver signed invitee.created / invitee.canceled
+//                              webhooks here (e.g. http://localhost:3000/api/calendly/webhook),
+//                              signed with CALENDLY_WEBHOOK_SIGNING_KEY
+
+const port = Number(process.env.MOCK_CALENDLY_PORT || 4010);
+const delayMs = Number(process.env.MOCK_CALENDLY_DELAY_MS || 0);
+const failStatus = Number(process.env.MOCK_CALENDLY_FAIL || 0);
+const base = `http://localhost:${port}`;
+const hostZone = "America/Chicago";
+const slotMs = 30 * 60 * 1000;
+
+const user = {
+  uri: `${base}/users/MOCKUSER`,
+  name: "Ross Applied AI",
+  slug: "rossapplied",
+  timezone: hostZone,
+  scheduling_url: "https://calendly.com/brssnj45/new-meeting"
+};
+const eventTypes = [
+  {
+    uri: `${base}/event_types/INTRO`,
+    name: "30 Minute Intro Call",
+    active: true,
+    duration: 30,
+    scheduling_url: "https://calendly.com/brssnj45/new-meeting",
+    location: { kind: "google_conference" },
+    custom_questions: [
+      {
+        name: "Please share anything that will help prepare for our meeting.",
+        type: "text",
+        position: 0,
+        enabled: true,
+        required: false
+      }
+    ]
+  },
+  {
+    uri: `${base}/event_types/WORKSHOP`,
+    name: "Team Workshop",
+    active: true,
+    duration: 60,
+    scheduling_url: "https://calendly.com/brssnj45/workshop",
+    location: { kind: "physical", location: "Tulsa, Oklahoma" }
+  }
+];
+const webhookUrl = process.env.MOCK_CALENDLY_WEBHOOK_URL;
+const signingKey = process.env.CALENDLY_WEBHOOK_SIGNING_KEY || "mock-signing-key";
+const booked = new Map();
+const invitees = new Map();
+
+// Sends a webhook the way Calendly signs them: HMAC-SHA256 over "<timestamp>.<body>".
+async function deliverWebhook(event, payload) {
+  if (!webhookUrl) return;
+  const body = JSON.stringify({ event, created_at: new Date().toISOString(), payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto
+    .createHmac("sha256", signingKey)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  try {
+    const response = await fetch(webhookUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Calendly-Webhook-Signature": `t=${timestamp},v1=${signature}`
+      },
+      body
+    });
+    console.log(`Webhook ${event} -> ${response.status}`);
+  } catch (error) {
+    console.error(`Webhook ${event} failed:`, error?.message || error);
+  }
+}
+
+function isOpen(time) {
+  const { weekday, hour } = localParts(new Date(time), hostZone);
+  return weekday >= 1 && weekday <= 5 && hour >= 9 && hour < 17 && !booked.has(time);
+}
+
+function apiError(res, status, title, message) {
+  return res.status(status).json({ title, message });
+}
+
+const app = express();
+app.use(express.json());
+
+app.use(async (req, res, next) => {
+  if (delayMs) await new Promise((resolve) => setTimeout(resolve, delayMs));
+  if (failStatus) return apiError(res, failStatus, "Mock failure", "MOCK_CALENDLY_FAIL is set.");
+  if (!/^Bearer \S+/.test(req.get("authorization") || "")) {
+    return apiError(res, 401, "Unauthenticated", "The access token is missing.");
+  }
+  console.log(req.method, req.originalUrl);
+  next();
+});
+
+app.get("/users/me", (req, res) => res.json({ resource: user }));
+
+app.get("/event_types", (req, res) => {
+  if (req.query.user !== user.uri) {
+    return apiError(res, 400, "Invalid Argument", "The supplied parameters are invalid.");
+  }
+  res.json({ collection: eventTypes, pagination: { count: eventTypes.length } });
+});
+
+app.get("/event_types/:id", (req, res) => {
+  const eventType = eventTypes.find((type) => type.uri.endsWith(`/${req.params.id}`));
+  if (!eventType) {
+    return apiError(res, 404, "Resource Not Found", "The event type was not found.");
+  }
+  res.json({ resource: eventType });
+});
+
+app.get("/event_type_available_times", (req, res) => {
+  const start = Date.parse(req.query.start_time);
+  const end = Date.parse(req.query.end_time);
+  if (!eventTypes.some((type) => type.uri === req.query.event_type)) {
+    return apiError(res, 404, "Resource Not Found", "The event type was not found.");
+  }
+  if (Number.isNaN(start) || Number.isNaN(end) || start < Date.now() - 60000) {
+    return apiError(res, 400, "Invalid Argument", "start_time must be in the future.");
+  }
+  if (end <= start || end - start > 7 * 24 * 60 * 60 * 1000) {
+    return apiError(res, 400, "Invalid Argument", "The date range can be no greater than 1 week.");
+  }
+
+  const collection = [];
+  for (let time = Math.ceil(start / slotMs) * slotMs; time < end; time += slotMs) {
+    const iso = new Date(time).toISOString();
+    if (isOpen(iso)) {
+      collection.push({
+        status: "available",
+        invitees_remaining: 1,
+        start_time: iso,
+        end_time: new Date(time + slotMs).toISOString(),
+        scheduling_url: `${eventTypes[0].scheduling_url}/${iso}`
+      });
+    }
+  }
+  res.json({ collection });
+});
+
+app.post("/invitees", (req, res) => {
+  const {
+    event_type: eventTypeUri,
+    start_time: startTime,
+    invitee,
+    questions_and_answers: questionsAndAnswers = []
+  } = req.body || {};
+  if (!eventTypes.some((type) => type.uri === eventTypeUri)) {
+    return apiError(res, 404, "Resource Not Found", "The event type was not found.");
+  }
+  if (!invitee?.name || !invitee?.email || !invitee?.timezone) {
+    return apiError(res, 400, "Invalid Argument", "invitee name, email and timezone are required.");
+  }
+  const time = new Date(startTime);
+  if (Number.isNaN(time.getTime()) || !isOpen(time.toISOString())) {
+    return apiError(res, 400, "Invalid Argument", "The selected time is no longer available.");
+  }
+
+  const id = crypto.randomUUID();
+  const eventType = eventTypes.find((type) => type.uri === eventTypeUri);
+  const resource = {
+    uri: `${base}/scheduled_events/${id}/invitees/${crypto.randomUUID()}`,
+    event: `${base}/scheduled_events/${id}`,
+    name: invitee.name,
+    email: invitee.email,
+    timezone: invitee.timezone,
+    status: "active",
+    questions_and_answers: questionsAndAnswers,
+    reschedule_url: `https://calendly.com/reschedulings/${id}`,
+    cancel_url: `https://calendly.com/cancellations/${id}`,
+    scheduled_event: {
+      uri: `${base}/scheduled_events/${id}`,
+      name: eventType.name,
+      start_time: time.toISOString(),
+      end_time: new Date(time.getTime() + eventType.duration * 60000).toISOString()
+    }
+  };
+  booked.set(time.toISOString(), id);
+  invitees.set(id, resource);
+  res.status(201).json({ resource });
+  deliverWebhook("invitee.created", resource);
+});
+
+app.post("/scheduled_events/:id/cancellation", (req, res) => {
+  const resource = invitees.get(req.params.id);
+  if (!resource || resource.status === "canceled") {
+    return apiError(res, 404, "Resource Not Found", "The event was not found.");
+  }
+  Object.assign(resource, {
+    status: "canceled",
+    rescheduled: false,
+    cancellation: { canceled_by: "host", reason: req.body?.reason || "", canceler_type: "host" }
+  });
+  booked.delete(resource.scheduled_event.start_time);
+  res.status(201).json({ resource: resource.cancellation });
+  deliverWebhook("invitee.canceled", resource);
+});
+
+app.use((req, res) => apiError(res, 404, "Resource Not Found", "Unknown endpoint."));
+
+app.listen(port, () => {
+  console.log(`Mock Calendly API on ${base} (use CALENDLY_API_BASE_URL=${base})`);
+});
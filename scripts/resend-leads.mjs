@@ -0,0 +1,61 @@
+import path from "node:path";
+import dotenv from "dotenv";
+import { createEmailSender } from "../lib/email.js";
+import { createLeadStore } from "../lib/lead-store.js";
+import { createReportLinkStore } from "../lib/report-links.js";
+import { createReportAttacher } from "../lib/report-pdf.js";
+
+// Re-sends failed or pending lead notifications from the lead store.
+//   npm run leads:resend                     all undelivered owner notifications
+//   npm run leads:resend -- --recipient user undelivered visitor summaries
+//   npm run leads:resend -- --id <lead id>   one lead, even if already sent
+
+dotenv.config();
+
+const root = path.resolve(import.meta.dirname, "..");
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? "" : args[index + 1] || "";
+};
+
+const recipient = option("--recipient") || "owner";
+const leadId = option("--id");
+const dataDir = process.env.DATA_DIR || path.join(root, "data");
+const store = createLeadStore({ dataDir, ipSalt: process.env.LEAD_IP_SALT });
+const emailSender = createEmailSender(process.env, { dataDir });
+const reportLinks = createReportLinkStore({
+  dataDir,
+  ttlMs: Number(process.env.WALKTHROUGH_LINK_TTL_DAYS || 30) * 24 * 60 * 60 * 1000
+});
+const withReportPdf = createReportAttacher({ reportLinks, leadStore: store });
+const send = async (message) => emailSender(await withReportPdf(message));
+
+const leads = (await store.list()).filter((lead) =>
+  leadId
+    ? lead.id === leadId
+    : lead.notifications?.[recipient] && lead.delivery[recipient]?.status !== "sent"
+);
+
+if (leadId && leads.length === 0) {
+  console.error(`No lead with id ${leadId}.`);
+  process.exitCode = 1;
+}
+
+let failures = 0;
+for (const lead of leads) {
+  try {
+    await store.resend(lead.id, recipient, send);
+    console.log(`Sent ${recipient} notification for ${lead.id} (${lead.createdAt}).`);
+  } catch (error) {
+    failures += 1;
+    console.error(`Failed ${recipient} notification for ${lead.id}: ${error?.message || error}`);
+  }
+}
+
+if (!leadId) {
+  console.log(`${leads.length - failures} of ${leads.length} ${recipient} notifications sent.`);
+}
+if (failures) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,240 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import {
+  availableServices,
+  findPrice,
+  formatPrice,
+  prices,
+  priceFact,
+  publishedPrices
+} from "../lib/catalog.js";
+import { escapeHtml } from "../lib/html.js";
+import {
+  CSP_REPORT_PATH,
+  SECURITY_HEADERS,
+  createContentSecurityPolicy,
+  strictTransportSecurity
+} from "../lib/security.js";
+import { walkthroughFlow } from "../lib/walkthrough-questions.js";
+
+const root = path.resolve(import.meta.dirname, "..");
+const NETLIFY_HEADERS_START = "# Security headers, generated by npm run catalog:sync.";
+const PRICE_PATTERN = /\$\d{1,3}(?:,\d{3})*(?:\.\d+)?\+?(?:\/[a-z]+)?/g;
+
+async function findHtml(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.name === ".git" || entry.name === "node_modules") {
+      continue;
+    }
+
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await findHtml(entryPath)));
+    } else if (entry.name === "index.html") {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+}
+
+function syncHtml(html, fail) {
+  let output = html.replace(
+    /(<([a-z0-9]+)\b[^>]*\sdata-price="([^"]+)"[^>]*>)([^<]*)(<\/\2>)/g,
+    (match, open, tag, id, content, close) => {
+      const price = findPrice(id);
+      if (!price) {
+        fail(`unknown data-price "${id}"`);
+        return match;
+      }
+      return open + formatPrice(price) + close;
+    }
+  );
+
+  output = output.replace(
+    /(<select\b[^>]*\sdata-catalog="service-options"[^>]*>)[\s\S]*?\n([ \t]*)(<\/select>)/g,
+    (match, open, indent, close) => {
+      const options = [
+        '<option value="">Choose a service</option>',
+        ...availableServices().map(
+          (service) => `<option value="${service.slug}">${escapeHtml(service.name)}</option>`
+        )
+      ];
+      return `${open}\n${options.map((option) => `${indent}  ${option}`).join("\n")}\n${indent}${close}`;
+    }
+  );
+
+  // The walkthrough page carries a copy of the current question flow to fall back on
+  // when the API is unreachable.
+  output = output.replace(
+    /(<script\b[^>]*\sdata-catalog="walkthrough-questions"[^>]*>)[\s\S]*?\n([ \t]*)(<\/script>)/g,
+    (match, open, indent, close) => {
+      const json = JSON.stringify(walkthroughFlow(), null, 2).replaceAll("<", "\\u003c");
+      const lines = json.split("\n").map((line) => `${indent}  ${line}`);
+      return `${open}\n${lines.join("\n")}\n${indent}${close}`;
+    }
+  );
+
+  return output.replace(/\{[^{}]*"sku":\s*"([^"]+)"[^{}]*\}/g, (offer, id) => {
+    const price = findPrice(id);
+    if (!price) {
+      fail(`unknown structured-data sku "${id}"`);
+      return offer;
+    }
+    return offer.replace(/("price":\s*)"[^"]*"/, `$1"${price.amount}"`);
+  });
+}
+
+function findStrayPrices(html) {
+  const known = new Set(prices.map(formatPrice));
+  const withoutSynced = html
+    .replace(/<script\b(?![^>]*application\/ld\+json)[^>]*>[\s\S]*?<\/script>/g, "")
+    .replace(/<([a-z0-9]+)\b[^>]*\sdata-price="[^"]+"[^>]*>[^<]*<\/\1>/g, "");
+  const structured = [
+    ...withoutSynced.matchAll(/<script\b[^>]*application\/ld\+json[^>]*>([\s\S]*?)<\/script>/g)
+  ].map((match) => match[1]);
+  const markup = withoutSynced.replace(
+    /<script\b[^>]*application\/ld\+json[^>]*>[\s\S]*?<\/script>/g,
+    ""
+  );
+
+  return [
+    ...(markup.match(PRICE_PATTERN) || []).map(
+      (amount) => `price ${amount} is not bound to the catalog with data-price`
+    ),
+    ...structured
+      .flatMap((source) => source.match(PRICE_PATTERN) || [])
+      .filter((amount) => !known.has(amount))
+      .map((amount) => `structured data mentions ${amount}, which is not a catalog price`)
+  ];
+}
+
+function replaceSection(text, heading, lines, fail) {
+  const pattern = new RegExp(`(^${heading.replace(/[()]/g, "\\$&")}\\n)(?:- .*\\n?)*`, "m");
+  if (!pattern.test(text)) {
+    fail(`missing "${heading}" section`);
+    return text;
+  }
+  return text.replace(pattern, (match, title) => `${title}${lines.join("\n")}\n`);
+}
+
+function syncLlms(text, fail) {
+  const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+  let output = replaceSection(
+    text,
+    "Core Services",
+    availableServices().map((service) => `- ${service.name}`),
+    fail
+  );
+  output = replaceSection(
+    output,
+    "Pricing (public guidance)",
+    publishedPrices().map((price) => `- ${capitalize(priceFact(price))}`),
+    fail
+  );
+  return output;
+}
+
+function tomlHeaders(route, headers) {
+  const values = Object.entries(headers).map(
+    ([name, value]) => `    ${name} = ${JSON.stringify(value)}`
+  );
+  return `[[headers]]\n  for = ${JSON.stringify(route)}\n  [headers.values]\n${values.join("\n")}`;
+}
+
+// Netlify serves the pages itself, so netlify.toml repeats the headers the Express
+// server sends: the shared set for every path, and each page's own
+// Content-Security-Policy for its route and for any rewrite that serves it.
+function syncNetlify(text, fail, pages) {
+  const start = text.indexOf(NETLIFY_HEADERS_START);
+  if (start < 0) {
+    fail(`missing "${NETLIFY_HEADERS_START}" section`);
+    return text;
+  }
+  const head = text.slice(0, start);
+  const csp = createContentSecurityPolicy({ reportUri: CSP_REPORT_PATH });
+  const policies = new Map(Array.from(pages, ([route, html]) => [route, csp.forHtml(html)]));
+  for (const [, from, to] of head.matchAll(/from = "([^"]+)"\s+to = "(\/[^"]*index\.html)"/g)) {
+    const route = to.replace(/index\.html$/, "");
+    if (pages.has(route)) {
+      policies.set(from, csp.forHtml(pages.get(route)));
+    }
+  }
+
+  const blocks = [
+    tomlHeaders("/*", {
+      ...SECURITY_HEADERS,
+      "Strict-Transport-Security": strictTransportSecurity(31536000)
+    }),
+    ...Array.from(policies, ([route, policy]) =>
+      tomlHeaders(route, {
+        "Content-Security-Policy": policy,
+        "Reporting-Endpoints": csp.reportingEndpoints
+      })
+    )
+  ];
+  return `${head}${NETLIFY_HEADERS_START} Pages' policies hash their inline
+# scripts, so edit the pages or lib/security.js and re-run it rather than editing these.
+${blocks.join("\n\n")}
+`;
+}
+
+export async function syncCatalog({ write = false } = {}) {
+  const changed = [];
+  const errors = [];
+  const pages = new Map();
+  const targets = [
+    ...(await findHtml(root)).map((file) => ({ file, sync: syncHtml, html: true })),
+    { file: path.join(root, "llms.txt"), sync: syncLlms, html: false },
+    // Last, so it sees every page as synced.
+    {
+      file: path.join(root, "netlify.toml"),
+      sync: (text, fail) => syncNetlify(text, fail, pages),
+      html: false
+    }
+  ];
+
+  for (const target of targets) {
+    const relative = path.relative(root, target.file).split(path.sep).join("/");
+    const fail = (message) => errors.push(`${relative}: ${message}`);
+    const source = await fs.readFile(target.file, "utf8");
+    const output = target.sync(source, fail);
+
+    if (target.html) {
+      findStrayPrices(output).forEach(fail);
+      pages.set(`/${relative.replace(/index\.html$/, "")}`, output);
+    }
+
+    if (output !== source) {
+      changed.push(relative);
+      if (write) {
+        await fs.writeFile(target.file, output);
+      }
+    }
+  }
+
+  return { changed, errors };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const check = process.argv.includes("--check");
+  const { changed, errors } = await syncCatalog({ write: !check });
+
+  if (errors.length) {
+    console.error(errors.join("\n"));
+    process.exitCode = 1;
+  }
+  if (check && changed.length) {
+    console.error(
+      "Out of date with lib/catalog.js, lib/walkthrough-questions.js or lib/security.js: " +
+        changed.join(", ")
+    );
+    process.exitCode = 1;
+  } else if (!check) {
+    console.log(changed.length ? `Updated ${changed.join(", ")}.` : "Catalog copies are up to date.");
+  }
+}
@@ -1,6 +1,7 @@
 import { promises as fs } from "node:fs";
 import path from "node:path";
 import vm from "node:vm";
+import { syncCatalog } from "./sync-catalog.mjs";
 
 const root = path.resolve(import.meta.dirname, "..");
 const errors = [];
@@ -156,7 +157,7 @@ for (const file of files) {
 
   const inlineScripts = [
     ...html.matchAll(
-      /<script(?![^>]*\bsrc=)(?![^>]*application\/ld\+json)[^>]*>([\s\S]*?)<\/script>/g,
+      /<script(?![^>]*\bsrc=)(?![^>]*application\/(?:ld\+)?json)[^>]*>([\s\S]*?)<\/script>/g,
     ),
   ];
 
@@ -182,11 +183,17 @@ for (const required of ["refresh.css", "fixes.css", "site.js", "og.png"]) {
   }
 }
 
+const catalog = await syncCatalog();
+errors.push(...catalog.errors);
+for (const file of catalog.changed) {
+  errors.push(`${file}: out of date (run npm run catalog:sync)`);
+}
+
 if (errors.length) {
   console.error(errors.join("\n"));
   process.exitCode = 1;
 } else {
   console.log(
-    `Validated ${files.length} routes: unique metadata, one H1/main, shared shell, internal links, IDs, and inline scripts.`,
+    `Validated ${files.length} routes: unique metadata, one H1/main, shared shell, internal links, IDs, inline scripts, and catalog copies.`,
   );
 }
@@ -1,97 +1,352 @@
+import crypto from "crypto";
 import express from "express";
+import { constants as fsConstants, promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
-import OpenAI from "openai";
-import crypto from "crypto";
-
-dotenv.config();
+import { createChatSessionStore } from "./lib/chat-sessions.js";
+import { buildSiteIndex } from "./lib/site-index.js";
+import { appendJsonLine } from "./lib/jsonl.js";
+import { createEmailSender } from "./lib/email.js";
+import { createEmailQueue } from "./lib/email-queue.js";
+import { createRateLimiter, setRateLimitHeaders } from "./lib/rate-limit.js";
+import { createLlmClient, createLlmProviders, llmSettings } from "./lib/llm.js";
+import { mergeReport, parseReportJson, validateReport } from "./lib/walkthrough-report.js";
+import { validateAnswers, walkthroughFlow } from "./lib/walkthrough-questions.js";
+import { createReportLinkStore } from "./lib/report-links.js";
+import { createReportAttacher, renderReportPdf } from "./lib/report-pdf.js";
+import { resolveTimezone } from "./lib/timezones.js";
+import { createCalendlyClient } from "./lib/calendly.js";
+import { BOOKING_EVENTS, createBookingStore, verifyCalendlySignature } from "./lib/bookings.js";
+import { createLocalAvailability } from "./lib/local-availability.js";
+import { buildInvite } from "./lib/ics.js";
+import { isSet, serviceStatus, validateEnvironment } from "./lib/health.js";
+import { log, withLogContext } from "./lib/logger.js";
+import { METRICS_CONTENT_TYPE, createMetrics } from "./lib/metrics.js";
+import {
+  CSP_DIRECTIVES,
+  CSP_REPORT_PATH,
+  createContentSecurityPolicy,
+  requireAllowedOrigin,
+  securityHeaders
+} from "./lib/security.js";
+import {
+  parseAvailability,
+  preferredSearchStart,
+  rankSlots
+} from "./lib/schedule-preferences.js";
+import { escapeHtml } from "./lib/html.js";
+import { createLeadStore } from "./lib/lead-store.js";
+import { createAdminRouter } from "./lib/admin.js";
+import { createReplyGuard, guardReply } from "./lib/price-guard.js";
+import {
+  absoluteUrl,
+  availableServices,
+  findService,
+  priceFact,
+  publishedPrices,
+  serviceName,
+  serviceNameList,
+  SITE_ORIGIN
+} from "./lib/catalog.js";
+
+dotenv.config({ quiet: true });
+
+// Settings the server can't run with stop it here, rather than on the first request
+// that needs them; missing service keys only switch features off.
+const environment = validateEnvironment(process.env);
+for (const warning of environment.warnings) {
+  log.warn("Config warning", { detail: warning });
+}
+if (environment.errors.length) {
+  for (const error of environment.errors) {
+    log.error("Config error", { detail: error });
+  }
+  process.exit(1);
+}
+const services = serviceStatus(process.env);
+const startedAt = Date.now();
+
+const metrics = createMetrics();
+const httpRequests = metrics.counter(
+  "http_requests_total",
+  "HTTP requests by method, route and status."
+);
+const httpDuration = metrics.histogram(
+  "http_request_duration_seconds",
+  "HTTP request latency by method and route."
+);
+const llmDuration = metrics.histogram(
+  "llm_request_duration_seconds",
+  "LLM provider call latency by endpoint, provider and outcome.",
+  { buckets: [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60] }
+);
+const llmFallbacks = metrics.counter(
+  "llm_fallback_attempts_total",
+  "LLM calls sent to a later provider in the chain because an earlier one failed."
+);
+const walkthroughFallbacks = metrics.counter(
+  "walkthrough_fallback_reports_total",
+  "Walkthrough reports built by the rule-based fallback, wholly (full) or in part (fields)."
+);
+const emailSends = metrics.counter("email_sends_total", "Email send attempts by transport.");
+const emailFailures = metrics.counter(
+  "email_send_failures_total",
+  "Failed email sends by transport."
+);
+const rateLimitRejections = metrics.counter(
+  "rate_limit_rejections_total",
+  "Requests rejected by a rate limit policy."
+);
+const cspViolations = metrics.counter(
+  "csp_violations_total",
+  "Content-Security-Policy violations reported by browsers, by directive."
+);
+metrics.gauge("process_uptime_seconds", "Seconds since the process started.", () =>
+  Math.round(process.uptime())
+);
+metrics.gauge("process_resident_memory_bytes", "Resident set size in bytes.", () =>
+  process.memoryUsage().rss
+);
+
+// Fallback usage is a call that reached a later provider because earlier ones failed.
+function observeLlm(endpoint) {
+  return ({ provider, position, outcome, durationMs }) => {
+    llmDuration.observe({ endpoint, provider, outcome }, durationMs / 1000);
+    if (position > 0) {
+      llmFallbacks.inc({ endpoint, provider });
+    }
+  };
+}
 
 const app = express();
+app.disable("x-powered-by");
 const port = process.env.PORT || 3000;
 
-const apiKey = process.env.OPEN_AI_KEY;
-const model = "gpt-5-mini";
-const openai = apiKey ? new OpenAI({ apiKey }) : null;
+const llmProviders = createLlmProviders(process.env);
+const chatLlm = createLlmClient(llmProviders, {
+  ...llmSettings(process.env, "CHAT"),
+  onAttempt: observeLlm("chat")
+});
+const walkthroughLlm = createLlmClient(llmProviders, {
+  ...llmSettings(process.env, "WALKTHROUGH"),
+  onAttempt: observeLlm("walkthrough")
+});
 const calendlyToken = process.env.CALENDLY_API;
+const calendly = createCalendlyClient({
+  token: calendlyToken,
+  baseUrl: process.env.CALENDLY_API_BASE_URL || undefined,
+  timeoutMs: Number(process.env.CALENDLY_TIMEOUT_MS || 10000),
+  cacheTtlMs: Number(process.env.CALENDLY_CACHE_TTL_SECONDS || 600) * 1000
+});
 const calendlySchedulingUrl = process.env.CALENDLY_SCHEDULING_URL;
-const resendApiKey = process.env.RESEND_API_KEY;
-const resendFromEmail = process.env.RESEND_FROM_EMAIL || "hello@rossapplied.ai";
-
-async function sendResendEmail({ to, subject, html, text }) {
-  const response = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${resendApiKey}`,
-      "Idempotency-Key": crypto.randomUUID()
-    },
-    body: JSON.stringify({
-      from: resendFromEmail,
-      to,
-      subject,
-      html,
-      text
-    })
-  });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Resend error: ${response.status} ${errorText}`);
+// Only the X-Forwarded-For entries added by our own proxies are believed; anything to
+// their left came from the client and could be anything. In production that is
+// Netlify's proxy and Render's load balancer, hence 2. TRUST_PROXY takes a hop count or
+// Express's other forms (a list of addresses or subnets, "loopback").
+const trustProxy = String(process.env.TRUST_PROXY ?? "2").trim();
+app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Static files have no route, so they share one label; anything else unmatched
+// shares another, which keeps probes for random paths from adding series.
+function routeLabel(req, res) {
+  if (req.route?.path) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  if (req.baseUrl) {
+    return `${req.baseUrl}/*`;
   }
+  const isRead = req.method === "GET" || req.method === "HEAD";
+  return isRead && res.statusCode < 400 ? "static" : "unmatched";
 }
 
-app.set("trust proxy", true);
-app.use(express.json({ limit: "20kb" }));
+// Every request gets an ID: the caller's X-Request-Id when it looks safe, otherwise a
+// new one. It is echoed in the response header, added to each log line the request
+// causes and to JSON error bodies, so an error a visitor reports leads to its logs.
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(
+      res.statusCode >= 400 && body?.error && !Array.isArray(body)
+        ? { ...body, requestId: req.id }
+        : body
+    );
+
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const route = routeLabel(req, res);
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    log[route === "static" ? "debug" : "info"]("Request", {
+      requestId: req.id,
+      method: req.method,
+      // req.path is relative to the router when a mounted one answered.
+      path: req.originalUrl.split("?")[0],
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000)
+    });
+  });
+
+  withLogContext({ requestId: req.id }, next);
+});
+
+// Site pages get a policy allowing their own inline scripts by hash, set where they
+// are served; everything else keeps the stricter default set here.
+const csp = createContentSecurityPolicy({ reportUri: CSP_REPORT_PATH });
+app.use(securityHeaders({ csp, hstsMaxAge: Number(process.env.HSTS_MAX_AGE ?? 31536000) }));
+
+// API_ALLOWED_ORIGINS lists the sites whose pages may call the API, for when the pages
+// are served from somewhere else (Netlify proxies /api here). Webhooks and CSP reports
+// come from Calendly and browsers' reporting, which send no usable Origin.
+const allowedOrigins = String(
+  process.env.API_ALLOWED_ORIGINS || `${SITE_ORIGIN},${SITE_ORIGIN.replace("://", "://www.")}`
+)
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+app.use(
+  "/api",
+  requireAllowedOrigin({ allowedOrigins, exempt: ["/calendly/webhook", "/csp-report"] })
+);
+app.use(
+  express.json({
+    limit: "20kb",
+    // Webhook signatures are computed over the exact bytes received.
+    verify: (req, res, buffer) => {
+      req.rawBody = buffer;
+    }
+  })
+);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-app.use(express.static(__dirname));
-
-const rateLimitStore = new Map();
-const RATE_LIMIT_WINDOW_MS = 60 * 1000;
-const RATE_LIMIT_MAX = 20;
-const WALKTHROUGH_MAX_ANSWERS = 8;
-const WALKTHROUGH_MAX_QUESTION_LENGTH = 240;
-const WALKTHROUGH_MAX_ANSWER_LENGTH = 1200;
-const WALKTHROUGH_ALLOWED_KEYS = new Set([
-  "industry",
-  "team_size",
-  "email",
-  "pain_points",
-  "tools",
-  "goals",
-  "timeline",
-  "budget"
-]);
+const dataDir = process.env.DATA_DIR || path.join(__dirname, "data");
+const priceViolationLog = path.join(dataDir, "price-violations.jsonl");
+const chatTranscriptLog = path.join(dataDir, "chat-transcripts.jsonl");
+const leadStore = createLeadStore({ dataDir, ipSalt: process.env.LEAD_IP_SALT });
+const attachReportPdf = process.env.WALKTHROUGH_PDF_ATTACHMENT === "true";
+const reportLinks = createReportLinkStore({
+  dataDir,
+  ttlMs: Number(process.env.WALKTHROUGH_LINK_TTL_DAYS || 30) * 24 * 60 * 60 * 1000
+});
+const withReportPdf = createReportAttacher({ reportLinks, leadStore });
+const bookings = createBookingStore({ dataDir });
+// SCHEDULE_PROVIDER picks where /api/schedule finds open times and books them:
+// "calendly", or "local" for the built-in availability configured in
+// AVAILABILITY_CONFIG. Without it, Calendly is used whenever CALENDLY_API is set.
+const scheduleProvider = services.schedule.provider;
+const scheduler =
+  scheduleProvider === "local"
+    ? createLocalAvailability({
+        configFile: process.env.AVAILABILITY_CONFIG,
+        dataDir,
+        bookings,
+        leadIdsFor: async (email) => (await leadsByEmail(email)).map((lead) => lead.id),
+        timeoutMs: Number(process.env.AVAILABILITY_CALENDAR_TIMEOUT_MS || 10000)
+      })
+    : calendly;
+const emailSender = createEmailSender(process.env, { dataDir });
+const emailQueue = createEmailQueue({
+  leadStore,
+  send: sendEmail,
+  maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS || 6),
+  baseDelayMs: Number(process.env.EMAIL_RETRY_BASE_SECONDS || 30) * 1000
+});
+
+const dataRoute = path.relative(__dirname, dataDir);
+if (dataRoute && !dataRoute.startsWith("..") && !path.isAbsolute(dataRoute)) {
+  app.use("/" + dataRoute.split(path.sep).join("/"), (req, res) => {
+    res.status(404).end();
+  });
+}
+app.use(
+  "/admin",
+  createAdminRouter({
+    // The .env.example placeholder is public, so it leaves /admin disabled too.
+    password: isSet(process.env.ADMIN_PASSWORD) ? process.env.ADMIN_PASSWORD : undefined,
+    dataDir,
+    leadStore,
+    reportLinks,
+    bookings,
+    sendEmail,
+    getClientIp
+  })
+);
+app.use(
+  express.static(__dirname, {
+    setHeaders: (res, file, stat) => {
+      if (file.endsWith(".html")) {
+        res.set("Content-Security-Policy", csp.forFile(file, stat));
+      }
+    }
+  })
+);
+
+const CHAT_CONTEXT_PASSAGES = 4;
+let siteIndex = { size: 0, search: () => [] };
+let siteIndexError = "";
+const siteIndexReady = buildSiteIndex(__dirname)
+  .then((index) => {
+    siteIndex = index;
+    log.info("Site index built", { passages: index.size, pages: index.pages });
+  })
+  .catch((error) => {
+    siteIndexError = error?.message || String(error);
+    log.error("Site index error", { error: siteIndexError });
+  });
+
+const rateLimiter = createRateLimiter({
+  policies: {
+    chat: { limit: 20, windowMs: 60 * 1000 },
+    walkthrough: { limit: 5, windowMs: 10 * 60 * 1000 },
+    contact: { limit: 5, windowMs: 10 * 60 * 1000 },
+    schedule: { limit: 30, windowMs: 60 * 1000 },
+    reports: { limit: 30, windowMs: 60 * 1000 },
+    csp: { limit: 30, windowMs: 60 * 1000 },
+    booking: { limit: 3, windowMs: 24 * 60 * 60 * 1000 }
+  }
+});
 const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const CONTACT_MAX_NAME_LENGTH = 120;
+const CONTACT_MAX_COMPANY_LENGTH = 160;
+const CONTACT_MAX_MESSAGE_LENGTH = 4000;
+const SCHEDULE_MAX_GOALS_LENGTH = 2000;
+
+const chatSessions = createChatSessionStore({
+  ttlMs: Number(process.env.CHAT_SESSION_TTL_MINUTES || 30) * 60 * 1000,
+  maxTurns: Number(process.env.CHAT_HISTORY_MAX_TURNS || 6),
+  maxTokens: Number(process.env.CHAT_HISTORY_MAX_TOKENS || 1500)
+});
 
+// req.ip follows "trust proxy", so rate limits and IP hashes key on the address our
+// proxies saw, not on whatever a client writes into X-Forwarded-For.
 function getClientIp(req) {
-  const forwarded = req.headers["x-forwarded-for"];
-  const rawIp = Array.isArray(forwarded)
-    ? forwarded[0]
-    : String(forwarded || req.socket.remoteAddress || "unknown").split(",")[0];
-  return rawIp.trim() || "unknown";
+  return req.ip || req.socket.remoteAddress || "unknown";
 }
 
-function enforceRateLimit(req, res, scope) {
-  const key = `${scope}:${getClientIp(req)}`;
-  const now = Date.now();
-  const entry = rateLimitStore.get(key) || {
-    count: 0,
-    resetAt: now + RATE_LIMIT_WINDOW_MS
-  };
-
-  if (now > entry.resetAt) {
-    entry.count = 0;
-    entry.resetAt = now + RATE_LIMIT_WINDOW_MS;
+async function enforceRateLimit(req, res, policy) {
+  let result;
+  try {
+    result = await rateLimiter.consume(policy, getClientIp(req));
+  } catch (error) {
+    // A broken shared store should not take the site down with it.
+    log.error("Rate limit store error", { error: error });
+    return true;
   }
 
-  entry.count += 1;
-  rateLimitStore.set(key, entry);
-
-  if (entry.count > RATE_LIMIT_MAX) {
+  setRateLimitHeaders(res, result);
+  if (!result.allowed) {
+    rateLimitRejections.inc({ policy });
     res.status(429).json({ error: "Rate limit exceeded. Try again soon." });
     return false;
   }
@@ -99,154 +354,343 @@ function enforceRateLimit(req, res, scope) {
   return true;
 }
 
-function escapeHtml(value) {
-  return String(value ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
+// Stored leads go through the retrying queue; if the store was unavailable the
+// email still gets one direct attempt.
+async function deliverLeadEmail(lead, recipient, notification, fallbackError) {
+  if (lead) {
+    return emailQueue.deliver(lead, recipient);
+  }
+  try {
+    await sendEmail(notification);
+    return "";
+  } catch (sendError) {
+    return sendError?.message || fallbackError;
+  }
 }
 
-const timezoneMap = {
-  est: "America/New_York",
-  edt: "America/New_York",
-  cst: "America/Chicago",
-  cdt: "America/Chicago",
-  mst: "America/Denver",
-  mdt: "America/Denver",
-  pst: "America/Los_Angeles",
-  pdt: "America/Los_Angeles"
-};
-
-function normalizeTimezone(input) {
-  if (!input) return "America/Chicago";
-  const key = String(input).trim().toLowerCase();
-  return timezoneMap[key] || input;
+// Every send path (the lead queue, admin re-sends, booking emails) goes through here,
+// so email failures are counted in one place and report PDFs are attached in one.
+async function sendEmail(message) {
+  const labels = { transport: services.email.transport };
+  emailSends.inc(labels);
+  try {
+    return await emailSender(await withReportPdf(message));
+  } catch (error) {
+    emailFailures.inc(labels);
+    throw error;
+  }
 }
 
-function parseWindow(input) {
-  if (!input) return null;
-  const match = String(input).match(/(\d{1,2})\s*-\s*(\d{1,2})/);
-  if (!match) return null;
-  let start = Number(match[1]);
-  let end = Number(match[2]);
-  if (Number.isNaN(start) || Number.isNaN(end)) return null;
-  if (end <= start && start < 12) {
-    end += 12;
-  }
-  if (start < 0 || start > 23 || end < 1 || end > 24) return null;
-  return { start, end };
+async function leadsByEmail(email) {
+  const address = String(email || "").trim().toLowerCase();
+  return (await leadStore.list()).filter(
+    (lead) => lead.email && lead.email.toLowerCase() === address
+  );
 }
 
-function formatSlotLabel(iso, timezone) {
+async function storeLead(details) {
   try {
-    const date = new Date(iso);
-    const formatter = new Intl.DateTimeFormat("en-US", {
-      timeZone: timezone,
-      weekday: "short",
-      month: "short",
-      day: "numeric",
-      hour: "numeric",
-      minute: "2-digit"
-    });
-    return formatter.format(date) + " (" + timezone + ")";
-  } catch {
-    return iso;
+    return await leadStore.create(details);
+  } catch (storeError) {
+    log.error("Lead store error", { error: storeError });
+    return null;
   }
 }
 
-function slotMatchesWindow(iso, timezone, window) {
-  if (!window) return true;
-  try {
-    const date = new Date(iso);
-    const parts = new Intl.DateTimeFormat("en-US", {
-      timeZone: timezone,
-      hour: "numeric",
-      hour12: false
-    }).formatToParts(date);
-    const hourPart = parts.find((part) => part.type === "hour");
-    const hour = Number(hourPart?.value);
-    if (Number.isNaN(hour)) return true;
-    return hour >= window.start && hour < window.end;
-  } catch {
-    return true;
+// Scheduler errors (Calendly or local) carry the status to answer with; anything else
+// is a bug.
+function sendScheduleError(res, error, fallbackMessage) {
+  if (!error?.status) {
+    log.error("Schedule error", { error: error });
+    return res.status(500).json({ error: fallbackMessage });
+  }
+  log.warn("Schedule provider error", {
+    provider: scheduleProvider,
+    code: error.code,
+    detail: error.detail || error.message
+  });
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+  return res.status(error.status).json({ error: error.message, code: error.code });
+}
+
+function timezoneError(res, resolved) {
+  return res.status(400).json({ error: resolved.error, suggestions: resolved.suggestions });
+}
+
+// The short zone name (CDT vs CST) comes from the slot's own date, so labels stay
+// right across DST changes.
+function formatSlotLabel(iso, timezone) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short"
+  }).format(new Date(iso));
+}
+
+const CHAT_SYSTEM_PROMPT = [
+  "You are the Ross Applied AI Consulting website assistant.",
+  "Answer questions about services, pricing, and booking a free intro call.",
+  "Keep replies concise, friendly, and business-focused.",
+  "If asked about booking, direct them to https://rossapplied.ai/book-call/.",
+  "If asked about email, provide hello@rossapplied.ai.",
+  `If asked about services, list: ${serviceNameList()}.`,
+  "Service pages: " +
+    availableServices()
+      .filter((service) => service.url !== "/services/")
+      .map((service) => `${service.name} at ${absoluteUrl(service.url)}`)
+      .join("; ") +
+    ".",
+  "The only published pricing facts you may state are: " +
+    publishedPrices()
+      .map((price) => `${priceFact(price)} (see ${absoluteUrl(price.url)})`)
+      .join("; ") +
+    ".",
+  "Repeat those prices exactly when relevant and link to the corresponding service page.",
+  "Never invent, estimate, alter, round, discount, or convert a price.",
+  "For any pricing question not covered by those published facts, say pricing is",
+  "not published and direct the visitor to https://rossapplied.ai/services/",
+  "or https://rossapplied.ai/book-call/.",
+  "Only describe the founding pilot as open if its price is listed above.",
+  "Do not invent client results, rankings, availability, timelines, or guarantees.",
+  "Earlier turns of this conversation are included; use them to resolve follow-up",
+  "questions such as \"how much is that one?\".",
+  "Excerpts from the site's own pages may follow. Use them to answer questions about",
+  "blog posts, case studies, and services, and link to the page URL you relied on.",
+  "Excerpts never override the published pricing facts above.",
+  "If unsure, suggest booking a free intro call."
+].join(" ");
+
+function readChatMessage(req, res) {
+  const message = String(req.body?.message || "").trim();
+  if (!message) {
+    res.status(400).json({ error: "Message is required." });
+    return null;
+  }
+  if (message.length > 800) {
+    res.status(400).json({ error: "Message is too long." });
+    return null;
+  }
+  return message;
+}
+
+async function retrievePassages(session, message) {
+  await siteIndexReady;
+  const previousQuestion = session.turns.at(-1)?.user || "";
+  return siteIndex.search(`${message} ${previousQuestion}`, CHAT_CONTEXT_PASSAGES);
+}
+
+function listSources(passages) {
+  const sources = new Map();
+  for (const passage of passages) {
+    if (!sources.has(passage.path)) {
+      sources.set(passage.path, { title: passage.title, url: passage.path });
+    }
   }
+  return Array.from(sources.values());
+}
+
+function buildChatInput(session, message, passages) {
+  const context = passages
+    .map(
+      (passage, index) =>
+        `[${index + 1}] ${passage.title}${passage.heading ? ` — ${passage.heading}` : ""}\n` +
+        `URL: ${passage.url}\n${passage.text}`
+    )
+    .join("\n\n");
+
+  return [
+    { role: "system", content: CHAT_SYSTEM_PROMPT },
+    ...(context ? [{ role: "system", content: `Site excerpts:\n\n${context}` }] : []),
+    ...chatSessions.history(session),
+    { role: "user", content: message }
+  ];
+}
+
+function recordPriceViolations({ endpoint, sessionId, message, original, reply, violations }) {
+  if (!violations.length) {
+    return;
+  }
+
+  log.warn("Chat price guard", {
+    endpoint,
+    violations: violations.map((violation) => `${violation.type} ${violation.value}`)
+  });
+  appendJsonLine(priceViolationLog, {
+    at: new Date().toISOString(),
+    endpoint,
+    sessionId,
+    message,
+    original,
+    reply,
+    violations
+  }).catch((error) => {
+    log.error("Price violation log error", { error: error });
+  });
+}
+
+// Every answered turn is kept for the admin console's chat transcripts.
+function recordChatTurn({ endpoint, sessionId, message, reply }) {
+  appendJsonLine(chatTranscriptLog, {
+    at: new Date().toISOString(),
+    endpoint,
+    sessionId,
+    message,
+    reply
+  }).catch((error) => {
+    log.error("Chat transcript log error", { error: error });
+  });
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
 app.post("/api/chat", async (req, res) => {
   try {
-    if (!openai) {
-      return res.status(500).json({ error: "Missing OPEN_AI_KEY." });
+    if (!chatLlm.available) {
+      return res.status(500).json({ error: "No LLM provider is configured." });
     }
 
-    if (!enforceRateLimit(req, res, "chat")) {
+    if (!(await enforceRateLimit(req, res, "chat"))) {
       return;
     }
 
-    const message = String(req.body?.message || "").trim();
+    const message = readChatMessage(req, res);
     if (!message) {
-      return res.status(400).json({ error: "Message is required." });
-    }
-    if (message.length > 800) {
-      return res.status(400).json({ error: "Message is too long." });
+      return;
     }
 
-    const systemPrompt = [
-      "You are the Ross Applied AI Consulting website assistant.",
-      "Answer questions about services, pricing, and booking a free intro call.",
-      "Keep replies concise, friendly, and business-focused.",
-      "If asked about booking, direct them to https://rossapplied.ai/book-call/.",
-      "If asked about email, provide hello@rossapplied.ai.",
-      "If asked about services, list: Local Search Visibility Fix Sprint,",
-      "AI Strategy Assessment, AI Integration, Custom AI Development,",
-      "AI Training & Enablement, Ongoing AI Support, and Talks & Presentations.",
-      "The Local Search Visibility Fix Sprint has a dedicated page at",
-      "https://rossapplied.ai/services/local-search-visibility/.",
-      "The only published pricing facts you may state are:",
-      "the Local Search Visibility Fix Sprint founding pilot is $500,",
-      "its standard price later is $1,250, and 50% is due upfront;",
-      "Starter is $1,750; Growth is $7,500; Enterprise is $20,000+;",
-      "the ongoing support retainer is $1,500/month;",
-      "Talks & Presentations says Tulsa-area keynotes start at $500.",
-      "For packages and the retainer, link to https://rossapplied.ai/services/.",
-      "For talks, link to https://rossapplied.ai/services/talks/.",
-      "Repeat those prices exactly when relevant and link to the corresponding service page.",
-      "Never invent, estimate, alter, round, discount, or convert a price.",
-      "For any pricing question not covered by those published facts, say pricing is",
-      "not published and direct the visitor to https://rossapplied.ai/services/",
-      "or https://rossapplied.ai/book-call/.",
-      "Do not claim the founding pilot is available unless the public page says so.",
-      "Do not invent client results, rankings, availability, timelines, or guarantees.",
-      "If unsure, suggest booking a free intro call."
-    ].join(" ");
+    const session = chatSessions.resume(req.body?.sessionId);
+    const passages = await retrievePassages(session, message);
+    const { text: original } = await chatLlm.complete({
+      messages: buildChatInput(session, message, passages)
+    });
 
-    const response = await openai.responses.create({
-      model,
-      input: [
-        {
-          role: "system",
-          content: [{ type: "input_text", text: systemPrompt }]
-        },
-        {
-          role: "user",
-          content: [{ type: "input_text", text: message }]
-        }
-      ],
+    const { reply, violations } = guardReply(original);
+    recordPriceViolations({
+      endpoint: "/api/chat",
+      sessionId: session.id,
+      message,
+      original,
+      reply,
+      violations
     });
 
-    const reply = response.output_text?.trim() || "Please try again.";
-    res.json({ reply });
+    chatSessions.recordTurn(session, message, reply);
+    recordChatTurn({ endpoint: "/api/chat", sessionId: session.id, message, reply });
+    res.json({ reply, sessionId: session.id, sources: listSources(passages) });
   } catch (error) {
     const message = error?.message || "Chat service error.";
-    console.error("Chat error:", message);
+    log.error("Chat error", { error: message });
     res.status(500).json({ error: message });
   }
 });
 
+app.post("/api/chat/stream", async (req, res) => {
+  if (!chatLlm.available) {
+    return res.status(500).json({ error: "No LLM provider is configured." });
+  }
+
+  if (!(await enforceRateLimit(req, res, "chat"))) {
+    return;
+  }
+
+  const message = readChatMessage(req, res);
+  if (!message) {
+    return;
+  }
+
+  const session = chatSessions.resume(req.body?.sessionId);
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  sendEvent(res, "session", { sessionId: session.id });
+
+  try {
+    const passages = await retrievePassages(session, message);
+    const stream = chatLlm.stream({
+      messages: buildChatInput(session, message, passages),
+      signal: controller.signal
+    });
+
+    // Text is released a sentence at a time so an unpublished price is never shown.
+    const guard = createReplyGuard();
+    let original = "";
+    for await (const delta of stream) {
+      original += delta;
+      const text = guard.push(delta);
+      if (text) {
+        sendEvent(res, "delta", { text });
+      }
+    }
+
+    const { text, reply, violations } = guard.finish();
+    if (text) {
+      sendEvent(res, "delta", { text });
+    }
+    recordPriceViolations({
+      endpoint: "/api/chat/stream",
+      sessionId: session.id,
+      message,
+      original: original.trim(),
+      reply,
+      violations
+    });
+
+    if (reply) {
+      chatSessions.recordTurn(session, message, reply);
+      recordChatTurn({ endpoint: "/api/chat/stream", sessionId: session.id, message, reply });
+    }
+    sendEvent(res, "done", {
+      reply: reply || "Please try again.",
+      sessionId: session.id,
+      sources: reply ? listSources(passages) : []
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+    const errorMessage = error?.message || "Chat service error.";
+    log.error("Chat stream error", { error: errorMessage });
+    sendEvent(res, "error", { error: errorMessage, requestId: req.id });
+  } finally {
+    res.end();
+  }
+});
+
+app.post("/api/chat/reset", async (req, res) => {
+  if (!(await enforceRateLimit(req, res, "chat"))) {
+    return;
+  }
+
+  chatSessions.reset(req.body?.sessionId);
+  res.json({ reset: true });
+});
+
+app.get("/api/walkthrough/questions", (req, res) => {
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.json(walkthroughFlow());
+});
+
 app.post("/api/walkthrough", async (req, res) => {
   try {
-    if (!enforceRateLimit(req, res, "walkthrough")) {
+    if (!(await enforceRateLimit(req, res, "walkthrough"))) {
       return;
     }
 
@@ -259,65 +703,22 @@ app.post("/api/walkthrough", async (req, res) => {
     if (rawAnswers.length === 0) {
       return res.status(400).json({ error: "Answers are required." });
     }
-    if (rawAnswers.length > WALKTHROUGH_MAX_ANSWERS) {
-      return res.status(400).json({ error: "Too many answers." });
-    }
-
-    const answers = [];
-    const seenKeys = new Set();
-    for (const [index, item] of rawAnswers.entries()) {
-      if (!item || typeof item !== "object" || Array.isArray(item)) {
-        return res.status(400).json({ error: `Answer ${index + 1} is invalid.` });
-      }
-      if (
-        typeof item.key !== "string" ||
-        typeof item.question !== "string" ||
-        typeof item.answer !== "string"
-      ) {
-        return res.status(400).json({ error: `Answer ${index + 1} has invalid fields.` });
-      }
-
-      const key = item.key.trim().toLowerCase();
-      const question = item.question.trim();
-      const answer = item.answer.trim();
-
-      if (!WALKTHROUGH_ALLOWED_KEYS.has(key)) {
-        return res.status(400).json({ error: `Answer ${index + 1} has an invalid key.` });
-      }
-      if (seenKeys.has(key)) {
-        return res.status(400).json({ error: `Answer key "${key}" is duplicated.` });
-      }
-      if (!question || question.length > WALKTHROUGH_MAX_QUESTION_LENGTH) {
-        return res.status(400).json({ error: `Answer ${index + 1} has an invalid question.` });
-      }
-      if (!answer || answer.length > WALKTHROUGH_MAX_ANSWER_LENGTH) {
-        return res.status(400).json({ error: `Answer ${index + 1} has an invalid response.` });
-      }
 
-      seenKeys.add(key);
-      answers.push({ key, question, answer });
+    // Pages from before the flow was versioned post no version; they showed version 1.
+    const version = payload.version === undefined ? 1 : payload.version;
+    const checked = validateAnswers(version, rawAnswers);
+    if (checked.error) {
+      return res.status(400).json({ error: checked.error });
     }
 
-    const emailFromKey = answers.find((item) => item.key === "email");
-    const emailFromQuestion = answers.find((item) =>
-      item.question.toLowerCase().includes("email")
-    );
-    const emailFromAnswerPattern = answers.find((item) => EMAIL_PATTERN.test(item.answer));
-    const userEmail = String(
-      emailFromKey?.answer || emailFromQuestion?.answer || emailFromAnswerPattern?.answer || ""
-    ).trim();
-
-    if (userEmail && (userEmail.length > 254 || !EMAIL_PATTERN.test(userEmail))) {
-      return res.status(400).json({ error: "A valid email address is required." });
-    }
+    const { answers } = checked;
+    const userEmail = answers.find((item) => item.key === "email")?.answer || "";
 
     const systemPrompt = [
       "You are the Ross Applied AI Consulting walkthrough assistant.",
       "Extract key business details from the user's answers and recommend",
       "the most relevant services we offer.",
-      "Services: Local Search Visibility Fix Sprint, AI Strategy Assessment,",
-      "AI Integration, Custom AI Development, AI Training & Enablement,",
-      "Ongoing AI Support, and Talks & Presentations.",
+      `Services: ${serviceNameList()}.`,
       "Recommendations must be qualitative. Do not produce readiness scores,",
       "performance forecasts, fabricated metrics, or guaranteed outcomes.",
       "Return ONLY valid JSON with this schema:",
@@ -335,6 +736,7 @@ app.post("/api/walkthrough", async (req, res) => {
       '  "recommended_services": string[],',
       '  "suggested_next_step": string',
       "}",
+      "Each recommended service must be one of the listed service names, spelled exactly.",
       "Keep the summary to 3-5 sentences, business-focused, and specific.",
       "If info is missing, say 'unknown' in extracted fields.",
       "Do not include markdown or extra keys."
@@ -367,29 +769,30 @@ app.post("/api/walkthrough", async (req, res) => {
       const timeline = findAnswer(["timeline"], ["timeline", "urgent", "timing"]);
       const budget = findAnswer(["budget"], ["budget"]);
 
-      const recommended = new Set(["AI Strategy Assessment"]);
+      const assessment = serviceName("ai-strategy-assessment");
+      const recommended = new Set([assessment]);
       const pain = toLower(painPoints);
       const goal = toLower(goals);
       const tool = toLower(tools);
 
       if (pain.includes("manual") || pain.includes("spreadsheet") || tool.includes("crm")) {
-        recommended.add("AI Integration");
+        recommended.add(serviceName("ai-integration"));
       }
       if (goal.includes("automate") || pain.includes("repetitive") || pain.includes("admin")) {
-        recommended.add("Custom AI Development");
+        recommended.add(serviceName("custom-ai-development"));
       }
       if (goal.includes("training") || pain.includes("adoption")) {
-        recommended.add("AI Training & Enablement");
+        recommended.add(serviceName("ai-training"));
       }
       if (goal.includes("support") || pain.includes("maintenance")) {
-        recommended.add("Ongoing AI Support");
+        recommended.add(serviceName("ongoing-ai-support"));
       }
 
       const timing =
         timeline === "unknown" ? "the timing you described" : `the stated timing (${timeline})`;
       const summary =
         `Your answers point to workflow friction in ${industry} and a need to consider ` +
-        `${timing}. An AI Strategy Assessment would provide a structured way to ` +
+        `${timing}. An ${assessment} would provide a structured way to ` +
         `review the current tools, constraints, and goals before choosing an implementation. ` +
         `Any first-workflow recommendation should be confirmed with the team rather than ` +
         `treated as a forecast or guaranteed outcome.`;
@@ -411,52 +814,50 @@ app.post("/api/walkthrough", async (req, res) => {
       };
     }
 
-    let parsed;
-    if (!openai) {
-      parsed = buildFallbackReport();
-    } else {
+    // The model's report is checked field by field. If anything is wrong it gets one
+    // chance to repair its own output; fields still invalid after that come from the
+    // rule-based report.
+    const partials = [];
+    if (walkthroughLlm.available) {
+      const messages = [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: JSON.stringify({ answers }) }
+      ];
       try {
-        const response = await openai.responses.create({
-          model,
-          input: [
-            {
-              role: "system",
-              content: [{ type: "input_text", text: systemPrompt }]
-            },
+        for (let pass = 0; pass < 2; pass += 1) {
+          const { text: raw } = await walkthroughLlm.complete({ messages, format: "json" });
+          const { value, error } = parseReportJson(raw);
+          const { report, errors } = error
+            ? { report: {}, errors: [error] }
+            : validateReport(value);
+          partials.push(report);
+          if (!errors.length) break;
+
+          log.warn("Walkthrough report invalid", { pass, errors });
+          messages.push(
+            { role: "assistant", content: raw },
             {
               role: "user",
-              content: [
-                {
-                  type: "input_text",
-                  text: JSON.stringify({ answers })
-                }
-              ]
+              content:
+                `That report failed validation:\n- ${errors.join("\n- ")}\n` +
+                "Return the corrected report as JSON only, using exactly the schema above."
             }
-          ]
-        });
-
-        const raw = response.output_text?.trim();
-        if (!raw) {
-          throw new Error("Empty model response.");
-        }
-
-        try {
-          parsed = JSON.parse(raw);
-        } catch (parseError) {
-          const match = raw.match(/\{[\s\S]*\}/);
-          if (!match) {
-            throw parseError;
-          }
-          parsed = JSON.parse(match[0]);
+          );
         }
       } catch (modelError) {
-        console.error("Walkthrough model error:", modelError?.message || modelError);
-        parsed = buildFallbackReport();
+        log.error("Walkthrough model error", { error: modelError });
       }
     }
 
-    if (!parsed || typeof parsed !== "object") {
-      parsed = buildFallbackReport();
+    const { report: parsed, fallbackFields } = mergeReport(
+      partials.reverse(),
+      buildFallbackReport()
+    );
+    if (!partials.length) {
+      walkthroughFallbacks.inc({ kind: "full" });
+    } else if (fallbackFields.length) {
+      walkthroughFallbacks.inc({ kind: "fields" });
+      log.warn("Walkthrough report fallback fields", { fields: fallbackFields });
     }
 
     const emailSubject = "Your AI Walkthrough Summary";
@@ -559,44 +960,67 @@ app.post("/api/walkthrough", async (req, res) => {
       )
     ].join("\n");
 
-    let internalEmailError = "";
-    let userEmailError = "";
+    const notifications = {
+      owner: {
+        to: "hello@rossapplied.ai",
+        subject: internalSubject,
+        html: internalHtml,
+        text: internalText
+      },
+      user: userEmail ? { to: userEmail, subject: emailSubject, html, text } : null
+    };
+    // The link is issued before the lead is stored so the visitor's email can name it;
+    // the PDF is rendered from it when the email is sent, not kept with the lead.
+    const leadId = crypto.randomUUID();
+    let permalink = null;
+    try {
+      permalink = await reportLinks.create(leadId);
+    } catch (linkError) {
+      log.error("Report link error", { error: linkError });
+    }
+    if (notifications.user && attachReportPdf && permalink) {
+      notifications.user.reportPdf = { linkId: permalink.id };
+    }
 
-    if (!resendApiKey) {
-      internalEmailError = "Missing RESEND_API_KEY.";
-      userEmailError = "Missing RESEND_API_KEY.";
-    } else {
-      try {
-        await sendResendEmail({
-          to: "hello@rossapplied.ai",
-          subject: internalSubject,
-          html: internalHtml,
-          text: internalText
-        });
-      } catch (sendError) {
-        internalEmailError = sendError?.message || "Internal email send failed.";
-        console.error("Internal walkthrough email error:", internalEmailError);
-      }
+    const lead = await storeLead({
+      id: leadId,
+      kind: "walkthrough",
+      ip: getClientIp(req),
+      email: userEmail,
+      answers,
+      report: parsed,
+      notifications
+    });
 
-      if (userEmail) {
-        try {
-          await sendResendEmail({
-            to: userEmail,
-            subject: emailSubject,
-            html,
-            text
-          });
-        } catch (sendError) {
-          userEmailError = sendError?.message || "User email send failed.";
-          console.error("User walkthrough email error:", userEmailError);
-        }
-      } else {
-        userEmailError = "No user email captured.";
+    const internalEmailError = await deliverLeadEmail(
+      lead,
+      "owner",
+      notifications.owner,
+      "Internal email send failed."
+    );
+    if (internalEmailError) {
+      log.error("Internal walkthrough email error", { error: internalEmailError });
+    }
+
+    let userEmailError = "No user email captured.";
+    if (userEmail) {
+      userEmailError = await deliverLeadEmail(
+        lead,
+        "user",
+        notifications.user,
+        "User email send failed."
+      );
+      if (userEmailError) {
+        log.error("User walkthrough email error", { error: userEmailError });
       }
     }
 
+    // Without a stored lead the link has nothing to show.
+    const shared = lead ? permalink : null;
     res.json({
       ...parsed,
+      permalink: shared ? `/ai-walkthrough/r/${shared.token}` : "",
+      permalink_expires_at: shared?.expiresAt || "",
       emailed_to: userEmailError ? "" : userEmail,
       email_error: userEmailError,
       owner_notified: !internalEmailError,
@@ -604,141 +1028,378 @@ app.post("/api/walkthrough", async (req, res) => {
     });
   } catch (error) {
     const message = error?.message || "Walkthrough service error.";
-    console.error("Walkthrough error:", message);
+    log.error("Walkthrough error", { error: message });
+    res.status(500).json({ error: message });
+  }
+});
+
+// Result permalinks are served by the walkthrough page itself, which notices the
+// token in its URL and loads the report from the API below.
+app.get("/ai-walkthrough/r/:token", (req, res) => {
+  const page = path.join(__dirname, "ai-walkthrough", "index.html");
+  res.setHeader("X-Robots-Tag", "noindex");
+  res.setHeader("Content-Security-Policy", csp.forFile(page));
+  res.sendFile(page);
+});
+
+async function findReportLink(req, res) {
+  const link = await reportLinks.resolve(req.params.token);
+  if (!link) {
+    res.status(404).json({ error: "This result link doesn't exist." });
+    return null;
+  }
+  if (link.status !== "active") {
+    res.status(410).json({
+      error:
+        link.status === "expired"
+          ? "This result link has expired."
+          : "This result link was removed."
+    });
+    return null;
+  }
+  return link;
+}
+
+app.get("/api/walkthrough/reports/:token", async (req, res) => {
+  try {
+    if (!(await enforceRateLimit(req, res, "reports"))) {
+      return;
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    const link = await findReportLink(req, res);
+    if (!link) {
+      return;
+    }
+    const lead = await leadStore.get(link.leadId);
+    if (!lead?.report) {
+      return res.status(404).json({ error: "This result link doesn't exist." });
+    }
+
+    res.json({
+      summary: lead.report.summary,
+      recommended_services: lead.report.recommended_services,
+      suggested_next_step: lead.report.suggested_next_step,
+      created_at: link.createdAt,
+      expires_at: link.expiresAt
+    });
+  } catch (error) {
+    log.error("Report link error", { error: error });
+    res.status(500).json({ error: "Report service error." });
+  }
+});
+
+app.get("/api/walkthrough/reports/:token/pdf", async (req, res) => {
+  try {
+    if (!(await enforceRateLimit(req, res, "reports"))) {
+      return;
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    const link = await findReportLink(req, res);
+    if (!link) {
+      return;
+    }
+    const lead = await leadStore.get(link.leadId);
+    if (!lead?.report) {
+      return res.status(404).json({ error: "This result link doesn't exist." });
+    }
+
+    const pdf = await renderReportPdf({ report: lead.report, createdAt: lead.createdAt });
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", 'attachment; filename="ai-walkthrough-summary.pdf"');
+    res.send(pdf);
+  } catch (error) {
+    log.error("Report PDF error", { error: error });
+    res.status(500).json({ error: "Report service error." });
+  }
+});
+
+app.delete("/api/walkthrough/reports/:token", async (req, res) => {
+  try {
+    if (!(await enforceRateLimit(req, res, "reports"))) {
+      return;
+    }
+
+    const link = await findReportLink(req, res);
+    if (!link) {
+      return;
+    }
+    await reportLinks.revoke(link.id, "visitor");
+    res.json({ revoked: true });
+  } catch (error) {
+    log.error("Report link error", { error: error });
+    res.status(500).json({ error: "Report service error." });
+  }
+});
+
+app.post("/api/contact", async (req, res) => {
+  try {
+    if (!(await enforceRateLimit(req, res, "contact"))) {
+      return;
+    }
+
+    const payload = req.body || {};
+    const fields = {};
+    for (const key of ["name", "email", "company", "service", "message", "website"]) {
+      if (payload[key] !== undefined && typeof payload[key] !== "string") {
+        return res.status(400).json({ error: `Field "${key}" is invalid.` });
+      }
+      fields[key] = String(payload[key] || "").trim();
+    }
+
+    // Honeypot: real visitors never see the website field, so accept and drop.
+    if (fields.website) {
+      return res.json({ ok: true, owner_notified: true, emailed_to: "" });
+    }
+
+    if (!fields.name || fields.name.length > CONTACT_MAX_NAME_LENGTH) {
+      return res.status(400).json({ error: "A name is required." });
+    }
+    if (!EMAIL_PATTERN.test(fields.email) || fields.email.length > 254) {
+      return res.status(400).json({ error: "A valid email address is required." });
+    }
+    if (fields.company.length > CONTACT_MAX_COMPANY_LENGTH) {
+      return res.status(400).json({ error: "Company name is too long." });
+    }
+    const service = fields.service ? findService(fields.service) : null;
+    if (fields.service && !service?.available) {
+      return res.status(400).json({ error: "Choose a service from the list." });
+    }
+    if (!fields.message || fields.message.length > CONTACT_MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: "A message of up to 4,000 characters is required." });
+    }
+
+    const acknowledge = payload.acknowledge === true;
+    const submittedAt = new Date().toISOString();
+    const serviceLabel = service?.name || "Not specified";
+    const answers = [
+      { key: "name", question: "Full name", answer: fields.name },
+      { key: "email", question: "Email address", answer: fields.email },
+      { key: "company", question: "Company name", answer: fields.company || "(not provided)" },
+      { key: "service", question: "Service of interest", answer: serviceLabel },
+      { key: "message", question: "What would you like to improve?", answer: fields.message }
+    ];
+
+    const notifications = {
+      owner: {
+        to: "hello@rossapplied.ai",
+        replyTo: fields.email,
+        subject: `New contact form message from ${fields.name}`,
+        html: `
+      <div style="font-family: Arial, sans-serif; color: #0f172a;">
+        <h2>New Contact Form Message</h2>
+        <p><strong>Submitted at:</strong> ${escapeHtml(submittedAt)}</p>
+        <ul>
+          ${answers
+            .map((item) => `<li><strong>${escapeHtml(item.question)}:</strong> ${escapeHtml(item.answer)}</li>`)
+            .join("")}
+        </ul>
+      </div>
+    `,
+        text: [
+          "New Contact Form Message",
+          "Submitted at: " + submittedAt,
+          "",
+          ...answers.map((item) => `${item.question}: ${item.answer}`)
+        ].join("\n")
+      },
+      user: acknowledge
+        ? {
+            to: fields.email,
+            subject: "We received your message",
+            html: `
+      <div style="font-family: Arial, sans-serif; color: #0f172a;">
+        <p>Hi ${escapeHtml(fields.name)},</p>
+        <p>Thanks for reaching out to Ross Applied AI. We received your message and will reply within one business day.</p>
+        <p><strong>Service of interest:</strong> ${escapeHtml(serviceLabel)}</p>
+        <p>Prefer to talk sooner? <a href="https://rossapplied.ai/book-call/">Book a free intro call</a>.</p>
+      </div>
+    `,
+            text: [
+              `Hi ${fields.name},`,
+              "",
+              "Thanks for reaching out to Ross Applied AI. We received your message and will reply within one business day.",
+              "Service of interest: " + serviceLabel,
+              "",
+              "Prefer to talk sooner? Book a free intro call: https://rossapplied.ai/book-call/"
+            ].join("\n")
+          }
+        : null
+    };
+
+    const lead = await storeLead({
+      kind: "contact",
+      ip: getClientIp(req),
+      email: fields.email,
+      answers,
+      report: null,
+      notifications
+    });
+
+    const internalEmailError = await deliverLeadEmail(
+      lead,
+      "owner",
+      notifications.owner,
+      "Internal email send failed."
+    );
+    if (internalEmailError) {
+      log.error("Internal contact email error", { error: internalEmailError });
+    }
+
+    let userEmailError = "Acknowledgement not requested.";
+    if (notifications.user) {
+      userEmailError = await deliverLeadEmail(
+        lead,
+        "user",
+        notifications.user,
+        "Acknowledgement email send failed."
+      );
+      if (userEmailError) {
+        log.error("Contact acknowledgement email error", { error: userEmailError });
+      }
+    }
+
+    if (internalEmailError && !lead) {
+      return res.status(502).json({ error: "Your message could not be delivered." });
+    }
+
+    res.json({
+      ok: true,
+      emailed_to: userEmailError ? "" : fields.email,
+      email_error: userEmailError,
+      owner_notified: !internalEmailError,
+      owner_email_error: internalEmailError
+    });
+  } catch (error) {
+    const message = error?.message || "Contact service error.";
+    log.error("Contact error", { error: message });
     res.status(500).json({ error: message });
   }
 });
 
 app.post("/api/schedule", async (req, res) => {
   try {
-    if (!calendlyToken) {
+    if (scheduleProvider === "calendly" && !calendlyToken) {
       return res.status(500).json({ error: "Missing CALENDLY_API." });
     }
 
+    if (!(await enforceRateLimit(req, res, "schedule"))) {
+      return;
+    }
+
     const name = String(req.body?.name || "").trim();
     const email = String(req.body?.email || "").trim();
     const company = String(req.body?.company || "").trim();
     const goals = String(req.body?.goals || "").trim();
     const times = String(req.body?.times || "").trim();
-    const timezone = normalizeTimezone(req.body?.timezone);
+    const resolvedTimezone = resolveTimezone(req.body?.timezone);
+    const { timezone } = resolvedTimezone;
     const startAfter = String(req.body?.startAfter || "").trim();
 
     if (!name || !email || !goals || !times) {
       return res.status(400).json({ error: "Missing required fields." });
     }
-
-    const headers = {
-      Authorization: `Bearer ${calendlyToken}`,
-      "Content-Type": "application/json"
-    };
-
-    const userResp = await fetch("https://api.calendly.com/users/me", { headers });
-    if (!userResp.ok) {
-      return res.status(500).json({ error: "Calendly user lookup failed." });
-    }
-    const userData = await userResp.json();
-    const userUri = userData?.resource?.uri;
-    if (!userUri) {
-      return res.status(500).json({ error: "Calendly user not found." });
+    if (company.length > CONTACT_MAX_COMPANY_LENGTH || goals.length > SCHEDULE_MAX_GOALS_LENGTH) {
+      return res.status(400).json({ error: "Company or goals are too long." });
     }
-
-    const eventsResp = await fetch(
-      `https://api.calendly.com/event_types?user=${encodeURIComponent(userUri)}&active=true`,
-      { headers }
-    );
-    if (!eventsResp.ok) {
-      return res.status(500).json({ error: "Calendly event types lookup failed." });
+    if (resolvedTimezone.error) {
+      return timezoneError(res, resolvedTimezone);
     }
-    const eventsData = await eventsResp.json();
-    const eventTypes = Array.isArray(eventsData?.collection) ? eventsData.collection : [];
-    if (eventTypes.length === 0) {
-      return res.status(500).json({ error: "No Calendly event types found." });
+    if (startAfter && Number.isNaN(Date.parse(startAfter))) {
+      return res.status(400).json({ error: "Invalid startAfter." });
     }
 
-    const preferred = eventTypes.find((evt) =>
-      String(evt?.name || "").toLowerCase().includes("intro")
-    );
-    const selected = preferred || eventTypes[0];
-    const eventTypeUri = selected?.uri;
-    if (!eventTypeUri) {
-      return res.status(500).json({ error: "Calendly event type URI missing." });
-    }
+    const eventType = await scheduler.introEventType();
+    const eventTypeUri = eventType.uri;
 
-    const window = parseWindow(times);
-    const start = startAfter ? new Date(startAfter) : new Date();
+    // Search the week starting at the later of startAfter (or now) and the first date
+    // the visitor asked for, so "next week" looks at next week.
+    const preferences = parseAvailability(times, { timezone });
+    const requestedStart = preferredSearchStart(preferences, timezone);
+    const start = new Date(
+      Math.max(startAfter ? Date.parse(startAfter) : Date.now(), requestedStart?.getTime() || 0)
+    );
     const end = new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000);
 
-    const availableResp = await fetch(
-      `https://api.calendly.com/event_type_available_times?event_type=${encodeURIComponent(
-        eventTypeUri
-      )}&start_time=${encodeURIComponent(start.toISOString())}&end_time=${encodeURIComponent(
-        end.toISOString()
-      )}`,
-      { headers }
-    );
-    if (!availableResp.ok) {
-      return res.status(500).json({ error: "Calendly availability lookup failed." });
-    }
-    const availableData = await availableResp.json();
-    const slots = Array.isArray(availableData?.collection) ? availableData.collection : [];
-    const filtered = slots
-      .filter((slot) => slotMatchesWindow(slot.start_time, timezone, window))
+    const slots = await scheduler.availableTimes(eventTypeUri, { start, end });
+    const ranked = rankSlots(slots, preferences, timezone)
       .slice(0, 3)
       .map((slot) => ({
         start_time: slot.start_time,
         end_time: slot.end_time,
-        label: formatSlotLabel(slot.start_time, timezone)
+        label: formatSlotLabel(slot.start_time, timezone),
+        fit: slot.score === 1 ? "match" : "close"
       }));
 
+    let summary = "No available times matched. Try a different window or timezone.";
+    if (ranked.some((slot) => slot.fit === "match")) {
+      summary = "Here are a few available times.";
+    } else if (ranked.length) {
+      summary = "Nothing matched exactly, so here are the closest available times.";
+    }
+
     res.json({
-      suggestions: filtered,
+      suggestions: ranked,
       eventTypeUri,
-      summary: filtered.length
-        ? "Here are a few available times."
-        : "No available times matched. Try a different window or timezone."
+      summary,
+      interpretation: preferences.interpretation,
+      timezone
     });
   } catch (error) {
-    res.status(500).json({ error: "Schedule service error." });
+    sendScheduleError(res, error, "Schedule service error.");
   }
 });
 
 app.post("/api/schedule/confirm", async (req, res) => {
   try {
-    if (!calendlyToken) {
+    if (scheduleProvider === "calendly" && !calendlyToken) {
       return res.status(500).json({ error: "Missing CALENDLY_API." });
     }
 
+    if (!(await enforceRateLimit(req, res, "schedule"))) {
+      return;
+    }
+
     const name = String(req.body?.name || "").trim();
     const email = String(req.body?.email || "").trim();
-    const timezone = normalizeTimezone(req.body?.timezone);
+    const resolvedTimezone = resolveTimezone(req.body?.timezone);
+    const { timezone } = resolvedTimezone;
     const eventTypeUri = String(req.body?.eventTypeUri || "").trim();
     const startTime = String(req.body?.startTime || "").trim();
+    const company = String(req.body?.company || "").trim().slice(0, CONTACT_MAX_COMPANY_LENGTH);
+    const goals = String(req.body?.goals || "").trim().slice(0, SCHEDULE_MAX_GOALS_LENGTH);
 
     if (!name || !email || !eventTypeUri || !startTime) {
       return res.status(400).json({ error: "Missing required fields." });
     }
+    if (name.length > CONTACT_MAX_NAME_LENGTH) {
+      return res.status(400).json({ error: "Name is too long." });
+    }
+    if (!EMAIL_PATTERN.test(email) || email.length > 254) {
+      return res.status(400).json({ error: "A valid email address is required." });
+    }
+    if (resolvedTimezone.error) {
+      return timezoneError(res, resolvedTimezone);
+    }
+    // Local bookings hold real calendar time and send invites, so each visitor gets a
+    // few a day on top of the provider's per-email cap.
+    if (scheduleProvider === "local" && !(await enforceRateLimit(req, res, "booking"))) {
+      return;
+    }
 
-    const headers = {
-      Authorization: `Bearer ${calendlyToken}`,
-      "Content-Type": "application/json"
-    };
-
-    const eventTypeId = eventTypeUri.split("/").pop();
+    // The location only fills in the meeting link, so a failed lookup doesn't stop the
+    // booking; an unknown event type does.
+    const eventType = await scheduler.eventType(eventTypeUri).catch((error) => {
+      if (error.code === "not_found") throw error;
+      return {};
+    });
+    const location = eventType.location;
     let locationPayload;
-    if (eventTypeId) {
-      const eventTypeResp = await fetch(
-        `https://api.calendly.com/event_types/${eventTypeId}`,
-        { headers }
-      );
-      if (eventTypeResp.ok) {
-        const eventTypeData = await eventTypeResp.json();
-        const location = eventTypeData?.resource?.location;
-        if (location?.kind) {
-          locationPayload = { kind: location.kind };
-          if (location.location) {
-            locationPayload.location = location.location;
-          }
-        }
+    if (location?.kind) {
+      locationPayload = { kind: location.kind };
+      if (location.location) {
+        locationPayload.location = location.location;
       }
     }
 
@@ -756,27 +1417,440 @@ app.post("/api/schedule/confirm", async (req, res) => {
       inviteePayload.location = locationPayload;
     }
 
-    const inviteeResp = await fetch("https://api.calendly.com/invitees", {
-      method: "POST",
-      headers,
-      body: JSON.stringify(inviteePayload)
-    });
-
-    if (!inviteeResp.ok) {
-      return res.status(500).json({ error: "Calendly booking failed." });
+    // What the visitor told us goes in the event type's free-text question (Calendly's
+    // default "anything that will help prepare"), so it reaches the booking and the
+    // owner's email. Event types without one book without it.
+    const question = (eventType.custom_questions || []).find(
+      (item) => item.enabled && ["text", "string"].includes(item.type)
+    );
+    const notes = [company && `Company: ${company}`, goals && `Goals: ${goals}`]
+      .filter(Boolean)
+      .join("\n");
+    if (question && notes) {
+      inviteePayload.questions_and_answers = [
+        { question: question.name, answer: notes, position: question.position }
+      ];
     }
 
-    const inviteeData = await inviteeResp.json();
+    const invitee = await scheduler.createInvitee(inviteePayload);
+    if (scheduleProvider === "local") {
+      const inviteSent = await sendLocalBookingEmails(invitee);
+      return res.json({
+        summary: inviteSent
+          ? "You’re booked! A calendar invite is on the way."
+          : "You’re booked! The calendar invite didn’t send, so we’ll email you directly."
+      });
+    }
     res.json({
       summary: "You’re booked! A confirmation email is on the way.",
-      rescheduleUrl: inviteeData?.resource?.reschedule_url,
-      cancelUrl: inviteeData?.resource?.cancel_url
+      rescheduleUrl: invitee.reschedule_url,
+      cancelUrl: invitee.cancel_url
+    });
+  } catch (error) {
+    sendScheduleError(res, error, "Schedule confirmation failed.");
+  }
+});
+
+// Calendar invite for a local booking, sent to the visitor with an .ics attachment.
+function bookingInvite(invitee) {
+  const event = invitee.scheduled_event;
+  const when = formatSlotLabel(event.start_time, invitee.timezone);
+  const ics = buildInvite({
+    uid: `${invitee.uri.split("/").pop()}@rossapplied.ai`,
+    start: event.start_time,
+    end: event.end_time,
+    summary: `${event.name} with Ross Applied AI`,
+    description: "Intro call with Ross Applied AI. Reply to this email to reschedule or cancel.",
+    location: event.location,
+    organizer: { name: "Ross Applied AI", email: "hello@rossapplied.ai" },
+    attendee: { name: invitee.name, email: invitee.email }
+  });
+
+  return {
+    to: invitee.email,
+    replyTo: "hello@rossapplied.ai",
+    subject: `Confirmed: ${event.name}, ${when}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; color: #0f172a;">
+        <p>Hi ${escapeHtml(invitee.name)},</p>
+        <p>Your ${escapeHtml(event.name)} with Ross Applied AI is booked for ${escapeHtml(when)}.</p>
+        ${event.location ? `<p><strong>Where:</strong> ${escapeHtml(event.location)}</p>` : ""}
+        <p>The attached invite adds it to your calendar. Need a different time? Reply to this email.</p>
+      </div>
+    `,
+    text: [
+      `Hi ${invitee.name},`,
+      "",
+      `Your ${event.name} with Ross Applied AI is booked for ${when}.`,
+      ...(event.location ? [`Where: ${event.location}`] : []),
+      "",
+      "The attached invite adds it to your calendar. Need a different time? Reply to this email."
+    ].join("\n"),
+    attachments: [
+      {
+        filename: "invite.ics",
+        contentType: "text/calendar; method=REQUEST",
+        content: Buffer.from(ics).toString("base64")
+      }
+    ]
+  };
+}
+
+// Calendly sends its own invites and reports bookings by webhook. A local booking is
+// already recorded, so here the visitor gets the invite and the owner gets the same
+// notification a webhook would have sent. Returns whether the invite went out; a failed
+// email is logged rather than undoing the booking.
+async function sendLocalBookingEmails(invitee) {
+  const key = `invitee.created:${invitee.uri}`;
+  const idempotencyKey = (label) => crypto.createHash("sha256").update(label).digest("hex");
+  let inviteSent = true;
+  try {
+    await sendEmail({ ...bookingInvite(invitee), idempotencyKey: idempotencyKey(`invite:${key}`) });
+  } catch (error) {
+    inviteSent = false;
+    log.error("Booking invite email error", { error: error });
+  }
+
+  try {
+    const leads = await leadsByEmail(invitee.email);
+    const booking = {
+      name: invitee.name,
+      email: invitee.email,
+      timezone: invitee.timezone,
+      startTime: invitee.scheduled_event.start_time,
+      eventName: invitee.scheduled_event.name,
+      questionsAndAnswers: invitee.questions_and_answers
+    };
+    await sendEmail({
+      ...bookingNotification("invitee.created", booking, leads),
+      idempotencyKey: idempotencyKey(key)
+    });
+    await bookings.markNotified(key);
+  } catch (error) {
+    log.error("Booking notification error", { error: error });
+  }
+  return inviteSent;
+}
+
+// Owner email for a booking or cancellation, with whatever the prospect told
+// us beforehand: the latest walkthrough summary and contact message sent from the
+// same email address.
+function bookingNotification(event, booking, leads) {
+  const canceled = event === "invitee.canceled";
+  const when = booking.startTime
+    ? formatSlotLabel(booking.startTime, "America/Chicago")
+    : "time not given";
+  const walkthrough = leads.find((lead) => lead.kind === "walkthrough" && lead.report);
+  const contact = leads.find((lead) => lead.kind === "contact");
+  const contactMessage = contact?.answers?.find((item) => item.key === "message")?.answer;
+  const heading = canceled
+    ? `${booking.rescheduled ? "Rescheduled" : "Canceled"}: ${booking.eventName || "call"}`
+    : `Booked: ${booking.eventName || "call"}`;
+
+  const details = [
+    ["Who", `${booking.name} <${booking.email}>`],
+    ["When", when],
+    ["Invitee timezone", booking.timezone || "unknown"],
+    ...(canceled ? [["Reason", booking.reason || "(none given)"]] : []),
+    ["Earlier submissions", leads.length ? `${leads.length}` : "none on file"]
+  ];
+  const sections = [];
+  const answers = (booking.questionsAndAnswers || []).filter((item) => item.answer);
+  if (answers.length && !canceled) {
+    sections.push({
+      title: "Booking answers",
+      lines: answers.flatMap((item) => [item.question, ...item.answer.split("\n")])
+    });
+  }
+  if (walkthrough) {
+    sections.push({
+      title: `Walkthrough summary (${walkthrough.createdAt})`,
+      lines: [
+        walkthrough.report.summary,
+        `Recommended services: ${(walkthrough.report.recommended_services || []).join(", ")}`,
+        `Suggested next step: ${walkthrough.report.suggested_next_step}`,
+        `Full submission: ${absoluteUrl(`/admin/leads/${walkthrough.id}`)}`
+      ]
+    });
+  }
+  if (contactMessage) {
+    sections.push({
+      title: `Contact message (${contact.createdAt})`,
+      lines: [contactMessage, `Full submission: ${absoluteUrl(`/admin/leads/${contact.id}`)}`]
+    });
+  }
+
+  return {
+    to: "hello@rossapplied.ai",
+    replyTo: booking.email,
+    subject: `${heading} with ${booking.name}, ${when}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; color: #0f172a;">
+        <h2>${escapeHtml(heading)}</h2>
+        <ul>
+          ${details
+            .map(
+              ([label, value]) =>
+                `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`
+            )
+            .join("")}
+        </ul>
+        ${sections
+          .map(
+            (section) => `<h3>${escapeHtml(section.title)}</h3>${section.lines
+              .map((line) => `<p>${escapeHtml(line)}</p>`)
+              .join("")}`
+          )
+          .join("")}
+      </div>
+    `,
+    text: [
+      heading,
+      "",
+      ...details.map(([label, value]) => `${label}: ${value}`),
+      ...sections.flatMap((section) => ["", section.title, ...section.lines])
+    ].join("\n")
+  };
+}
+
+// Calendly invitee.created / invitee.canceled webhooks. Deliveries are verified, then
+// recorded once; the owner email is only marked done after it sends, and a failure
+// answers 500 so Calendly's retry sends it again without duplicating the booking.
+app.post("/api/calendly/webhook", async (req, res) => {
+  const signingKey = process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+  // The .env.example placeholder is public; anyone could sign deliveries with it.
+  if (!isSet(signingKey)) {
+    return res.status(503).json({ error: "Missing CALENDLY_WEBHOOK_SIGNING_KEY." });
+  }
+
+  const verified = verifyCalendlySignature({
+    header: req.get("calendly-webhook-signature"),
+    body: req.rawBody || "",
+    signingKey
+  });
+  if (!verified.ok) {
+    log.warn("Calendly webhook rejected", { detail: verified.error });
+    return res.status(401).json({ error: verified.error });
+  }
+
+  const event = String(req.body?.event || "");
+  const payload = req.body?.payload || {};
+  if (!BOOKING_EVENTS.includes(event)) {
+    return res.json({ status: "ignored" });
+  }
+  const email = String(payload.email || "").trim().toLowerCase();
+  if (!payload.uri || !email) {
+    return res.status(400).json({ error: "Payload is missing the invitee URI or email." });
+  }
+
+  try {
+    const key = `${event}:${payload.uri}`;
+    const seen = await bookings.event(key);
+    if (seen.notified) {
+      return res.json({ status: "duplicate" });
+    }
+
+    const leads = await leadsByEmail(email);
+    const booking = {
+      inviteeUri: payload.uri,
+      eventUri: payload.event || payload.scheduled_event?.uri || "",
+      email,
+      name: String(payload.name || email),
+      timezone: payload.timezone || "",
+      startTime: payload.scheduled_event?.start_time || "",
+      endTime: payload.scheduled_event?.end_time || "",
+      eventName: payload.scheduled_event?.name || "",
+      rescheduleUrl: payload.reschedule_url || "",
+      cancelUrl: payload.cancel_url || "",
+      questionsAndAnswers: (payload.questions_and_answers || []).map((item) => ({
+        question: String(item?.question || ""),
+        answer: String(item?.answer || "")
+      })),
+      leadIds: leads.map((lead) => lead.id)
+    };
+    const cancellation = {
+      inviteeUri: payload.uri,
+      reason: payload.cancellation?.reason || "",
+      canceledBy: payload.cancellation?.canceled_by || "",
+      rescheduled: payload.rescheduled === true
+    };
+
+    if (!seen.recorded) {
+      if (event === "invitee.created") {
+        await bookings.recordBooking(key, booking);
+      } else {
+        await bookings.recordCancel(key, cancellation);
+      }
+    }
+
+    const notification = bookingNotification(event, { ...booking, ...cancellation }, leads);
+    await sendEmail({
+      ...notification,
+      idempotencyKey: crypto.createHash("sha256").update(key).digest("hex")
     });
+    await bookings.markNotified(key);
+    res.json({ status: "recorded", matchedLeads: leads.length });
+  } catch (error) {
+    log.error("Calendly webhook error", { error: error });
+    res.status(500).json({ error: "Webhook processing failed." });
+  }
+});
+
+// Liveness: the process is up and answering. Configuration is summarized but never
+// makes this fail, so a missing key doesn't get the container restarted.
+app.get("/healthz", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    status: "ok",
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    services: {
+      openai: services.openai.configured,
+      resend: services.resend.configured,
+      calendly: services.calendly.configured
+    }
+  });
+});
+
+// Readiness: 503 until the data directory is writable, since leads and bookings can't
+// be stored without it, or while the local scheduler's config can't be read, since it
+// would otherwise be answering for the booking page. Unconfigured services make the
+// status "degraded" instead, because the site still works with those features off.
+app.get("/readyz", async (req, res) => {
+  const checks = {};
+
+  try {
+    await fs.mkdir(dataDir, { recursive: true });
+    await fs.access(dataDir, fsConstants.W_OK);
+    checks.dataDir = { ok: true };
   } catch (error) {
-    res.status(500).json({ error: "Schedule confirmation failed." });
+    checks.dataDir = { ok: false, error: error?.code || "unwritable" };
   }
+
+  await Promise.race([siteIndexReady, new Promise((resolve) => setTimeout(resolve, 1000))]);
+  checks.siteIndex = siteIndexError
+    ? { ok: false, error: siteIndexError }
+    : { ok: siteIndex.size > 0, passages: siteIndex.size };
+
+  checks.llm = {
+    ok: chatLlm.available && walkthroughLlm.available,
+    chat: chatLlm.describe(),
+    walkthrough: walkthroughLlm.describe()
+  };
+  checks.email = { ok: services.email.configured, transport: services.email.transport };
+
+  if (scheduleProvider === "local") {
+    try {
+      await scheduler.loadConfig();
+      checks.schedule = { ok: true, provider: scheduleProvider };
+    } catch (error) {
+      checks.schedule = {
+        ok: false,
+        provider: scheduleProvider,
+        error: error?.detail || error?.message
+      };
+    }
+  } else {
+    checks.schedule = { ok: services.calendly.configured, provider: scheduleProvider };
+  }
+
+  const ready = checks.dataDir.ok && (scheduleProvider !== "local" || checks.schedule.ok);
+  const degraded = Object.values(checks).some((check) => !check.ok);
+  res.set("Cache-Control", "no-store");
+  res.status(ready ? 200 : 503).json({
+    status: !ready ? "not_ready" : degraded ? "degraded" : "ready",
+    checks,
+    services: {
+      openai: services.openai,
+      resend: services.resend,
+      calendly: services.calendly
+    }
+  });
+});
+
+// Which features have a backing service, so pages can hide or adapt the parts that
+// would only fail: the chat launcher, the walkthrough's email step and the booking form.
+app.get("/api/features", (req, res) => {
+  res.set("Cache-Control", "public, max-age=60");
+  res.json({
+    chat: chatLlm.available && services.llm.chat.configured,
+    walkthrough: {
+      ai: walkthroughLlm.available && services.llm.walkthrough.configured,
+      email: services.email.configured
+    },
+    contact: { email: services.email.configured },
+    booking: { native: services.schedule.configured, provider: scheduleProvider }
+  });
+});
+
+// Browsers post violations here, either as the older { "csp-report": {...} } body from
+// report-uri or as a Reporting API batch from report-to. Reports are logged and
+// counted; the response is always 204, since browsers ignore it.
+app.post(
+  CSP_REPORT_PATH,
+  express.json({ limit: "20kb", type: ["application/csp-report", "application/reports+json"] }),
+  async (req, res) => {
+    if (!(await enforceRateLimit(req, res, "csp"))) return;
+
+    const reports = Array.isArray(req.body)
+      ? req.body.filter((entry) => entry?.type === "csp-violation").map((entry) => entry.body)
+      : [req.body?.["csp-report"]];
+    for (const report of reports.filter(Boolean)) {
+      const reported = String(
+        report.effectiveDirective ||
+          report["effective-directive"] ||
+          report["violated-directive"] ||
+          ""
+      ).split(" ")[0];
+      // Anyone can post here, so only known directive names become metric labels.
+      const directive = CSP_DIRECTIVES.includes(reported) ? reported : "other";
+      cspViolations.inc({ directive });
+      log.warn("CSP violation", {
+        directive,
+        blocked: report.blockedURL || report["blocked-uri"],
+        page: report.documentURL || report["document-uri"],
+        source: report.sourceFile || report["source-file"],
+        line: report.lineNumber || report["line-number"]
+      });
+    }
+    res.status(204).end();
+  }
+);
+
+// Prometheus scrape endpoint. Scrapers must send METRICS_TOKEN as a bearer token;
+// compared as digests so the check takes the same time either way. Without a token
+// the endpoint doesn't exist, like /admin without a password.
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!isSet(token)) {
+    return res.status(404).json({ error: "Not found." });
+  }
+  const digest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+  if (!crypto.timingSafeEqual(digest(req.get("authorization")), digest(`Bearer ${token}`))) {
+    return res.status(401).json({ error: "Unauthorized." });
+  }
+  res.set("Content-Type", METRICS_CONTENT_TYPE);
+  res.set("Cache-Control", "no-store");
+  res.send(metrics.render());
+});
+
+// Errors Express catches itself, such as a malformed JSON body, get the same
+// { error, requestId } answer as the routes' own errors instead of an HTML page.
+app.use((error, req, res, next) => {
+  const status = error?.status || error?.statusCode || 500;
+  if (status >= 500) {
+    log.error("Unhandled error", { error });
+  } else {
+    log.warn("Request rejected", { status, error });
+  }
+  if (res.headersSent) {
+    return next(error);
+  }
+  res.status(status).json({
+    error: status < 500 && error?.expose ? error.message : "Request failed."
+  });
 });
 
 app.listen(port, () => {
-  console.log(`Server running on http://localhost:${port}`);
+  log.info("Server running", { url: `http://localhost:${port}` });
+  emailQueue.start();
 });
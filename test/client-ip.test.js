@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+const root = path.resolve(import.meta.dirname, "..");
+const port = 8000 + Math.floor(Math.random() * 1000);
+const base = `http://127.0.0.1:${port}`;
+let server;
+let dataDir;
+
+before(async () => {
+  dataDir = await mkdtemp(path.join(os.tmpdir(), "client-ip-"));
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: root,
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, TRUST_PROXY: "1" },
+    stdio: "ignore"
+  });
+  for (let tries = 0; tries < 50; tries += 1) {
+    try {
+      await fetch(`${base}/healthz`);
+      return;
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error("Server did not start.");
+});
+
+after(async () => {
+  server?.kill();
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+// One trusted proxy appends the address it saw (203.0.113.7); everything before that
+// is the client's own X-Forwarded-For, which changes on every request here.
+test("a spoofed X-Forwarded-For entry does not reset the rate limit budget", async () => {
+  const token = "a".repeat(32);
+  const statuses = [];
+  for (let attempt = 0; attempt < 31; attempt += 1) {
+    const response = await fetch(`${base}/api/walkthrough/reports/${token}`, {
+      headers: { "x-forwarded-for": `198.51.100.${attempt}, 203.0.113.7` }
+    });
+    statuses.push(response.status);
+  }
+
+  assert.deepEqual(statuses.slice(0, 30), Array(30).fill(404));
+  assert.equal(statuses[30], 429);
+
+  const other = await fetch(`${base}/api/walkthrough/reports/${token}`, {
+    headers: { "x-forwarded-for": "198.51.100.1, 203.0.113.8" }
+  });
+  assert.equal(other.status, 404);
+});
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkSentence, guardReply } from "../lib/price-guard.js";
+
+test("a stated percentage of a published price is not an unpublished price", () => {
+  assert.deepEqual(
+    checkSentence("The founding pilot is $500, and 50% ($250) is due upfront."),
+    []
+  );
+
+  const { reply, violations } = guardReply(
+    "The Local Search Visibility Fix Sprint founding pilot is $500. 50% ($250) is due upfront."
+  );
+  assert.deepEqual(violations, []);
+  assert.match(reply, /\$250/);
+});
+
+test("amounts that are not a stated share of a published price are still caught", () => {
+  assert.deepEqual(checkSentence("The founding pilot deposit is $250."), [
+    { type: "unpublished_price", value: "$250" }
+  ]);
+  assert.deepEqual(checkSentence("The founding pilot is $500, and 40% ($250) is due upfront."), [
+    { type: "unpublished_price", value: "$250" }
+  ]);
+});
+
+test("a derived amount stays tied to the offer it was derived from", () => {
+  assert.deepEqual(checkSentence("A Growth engagement needs 50% ($250) upfront."), [
+    { type: "misattributed_price", value: "$250", mentioned: ["growth"] }
+  ]);
+});